@@ -1,49 +1,82 @@
 const express = require("express");  // Web framework for Node.js
-const cors = require("cors");  // Enable Cross-Origin Resource Sharing
 const bodyParser = require("body-parser");  // Parse incoming request bodies
 const path = require("path");  // Utilities for working with file paths
 
 // Load environment variables from main .env file
 require('dotenv').config();
 
+// Structured JSON logger (redacts secrets and customer details)
+const logger = require("./src/common/utils/logger");
+
+// Select PhonePe sandbox or production endpoints based on PHONEPE_ENV
+const phonepeConfig = require("./src/phonepay/config/phonepeConfig");
+
 // Log environment information for debugging and monitoring
-console.log(`Starting server in production mode`);
-console.log(`Using PhonePe production APIs`);
+logger.info("Starting server", { environment: phonepeConfig.environment, baseUrl: phonepeConfig.pgBaseUrl });
 
 // Import database connection utility
 // This handles connection to MongoDB using Mongoose
 const connectDB = require("./src/common/utils/db");
+// Background worker that resolves payments left pending
+const reconciliationWorker = require("./src/phonepay/workers/reconciliationWorker");
+// Background worker that retries undelivered merchant webhooks
+const webhookDeliveryWorker = require("./src/phonepay/workers/webhookDeliveryWorker");
 
 // Import route handlers
 // phonepeRoutes contains all API endpoints for payment processing
 const phonepeRoutes = require("./src/phonepay/routes/phonepeRoutes");
+// adminRoutes contains the API-key protected admin endpoints (merchant configuration)
+const adminRoutes = require("./src/phonepay/routes/adminRoutes");
+// adminDashboardRoutes serves the login-protected payments dashboard at /admin
+const adminDashboardRoutes = require("./src/phonepay/routes/adminDashboardRoutes");
 // Import specific controller functions for standalone payment pages
 const { serveUniquePage, serveMultiPaymentPage, processPaymentRequest } = require("./src/phonepay/controllers/phonepeController"); 
+// Replays retried order creation requests that reuse an Idempotency-Key or merchantOrderId
+const idempotency = require("./src/phonepay/middleware/idempotency");
+// Limits order creation per IP, domain and mobile number
+const rateLimit = require("./src/phonepay/middleware/rateLimit");
+// Checks request parameters against the route's schema
+const validateRequest = require("./src/phonepay/middleware/validateRequest");
+const schemas = require("./src/phonepay/schemas/phonepeSchemas");
+// CORS policy for the browser-facing payment endpoints (merchant domains only)
+const { merchantCors } = require("./src/phonepay/middleware/corsPolicy");
+// Gives each request an ID that is attached to its log entries
+const requestContext = require("./src/phonepay/middleware/requestContext");
+// Prometheus metrics endpoint
+const { getMetrics } = require("./src/phonepay/controllers/metricsController");
+// Liveness and readiness probes for load balancers
+const { getHealth, getReadiness } = require("./src/phonepay/controllers/healthController");
 
 // Initialize Express application
 const app = express();
 
+// Behind a load balancer or proxy, TRUST_PROXY makes req.ip the client's address from
+// X-Forwarded-For (e.g. 'true', a hop count like '1', or a subnet list). Rate limits rely on it.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Set up middleware
 app.use(bodyParser.json());  // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true }));  // Parse URL-encoded bodies
 
-// Configure CORS to allow ALL cross-origin requests without restrictions
-app.use(cors({
-    origin: '*',                  // Allow any domain
-    methods: '*',                 // Allow all HTTP methods
-    allowedHeaders: '*',          // Allow all headers
-    exposedHeaders: '*',          // Expose all headers
-    credentials: true,            // Allow cookies
-    preflightContinue: true,      // Pass the preflight response to the next handler
-    optionsSuccessStatus: 204     // Return 204 for preflight requests
-}));
+// Prometheus scrape endpoint and health probes, registered before the request logging
+// so scrapes and probes don't flood the logs
+app.get("/metrics", getMetrics);
+app.get("/healthz", getHealth);   // Process is alive
+app.get("/readyz", getReadiness); // Database, PhonePe auth and reconciliation are working (503 when degraded)
 
-// Add specific OPTIONS handler for all routes
-app.options('*', cors());  // Enable preflight for all routes
+app.use(requestContext);  // Request ID and logging context (after the body parsers)
+
+// CORS is configured per group of endpoints (see middleware/corsPolicy and phonepeRoutes):
+// payment endpoints only accept browser requests from merchant domains, status endpoints
+// are public, and the admin and server-to-server endpoints send no CORS headers
 
 // IMPORTANT: Register the process-payment route BEFORE serving static files
 // This ensures it will always return JSON and won't try to serve an HTML file
-app.get("/process-payment", processPaymentRequest);
+app.use("/process-payment", merchantCors);
+app.get("/process-payment", rateLimit("process-payment"), validateRequest(schemas.processPayment, { negotiate: true }), idempotency("process-payment"), processPaymentRequest);
 
 // Serve static files from the views directory
 // This allows direct access to HTML, CSS, and client-side JS files
@@ -63,6 +96,12 @@ app.get("/", (req, res) => {
 // API Routes - All PhonePe payment API endpoints are prefixed with /api/phonepay
 app.use("/api/phonepay", phonepeRoutes);
 
+// Admin Routes - Require the ADMIN_API_KEY, prefixed with /api/admin
+app.use("/api/admin", adminRoutes);
+
+// Admin dashboard - Browser UI for the admin API, behind a login
+app.use("/admin", adminDashboardRoutes);
+
 // 404 Handler - Show custom 404 page for all unmatched routes
 app.use('*', (req, res) => {
     res.status(404).sendFile(path.join(__dirname, 'src/views/404.html'));
@@ -71,7 +110,7 @@ app.use('*', (req, res) => {
 // Global error handler
 // Catches any errors thrown during request processing
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    logger.error("Unhandled error while processing request", { err });
     res.status(500).send('Something broke!');
 });
 
@@ -82,48 +121,57 @@ const PORT = process.env.PORT || 5001;
 try {
   // Check for port availability before starting
   const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT}`);
+    logger.info("Server running", { port: PORT });
     
     // Try to connect to MongoDB but don't make it critical for server startup
     connectDB().catch(error => {
-      console.error("Failed to connect to the database, but server will continue running:", error.message);
-      console.warn("Database-dependent features won't work until database connection is restored");
+      logger.error("Failed to connect to the database, but server will continue running", { err: error });
+      logger.warn("Database-dependent features won't work until database connection is restored");
     });
+
+    // Reconcile pending payments in the background (runs are skipped while the database is down)
+    reconciliationWorker.start();
+    // Retry merchant webhooks that could not be delivered right away
+    webhookDeliveryWorker.start();
   });
 
   // Handle server errors
   server.on('error', (error) => {
     if (error.code === 'EADDRINUSE') {
-      console.error(`Port ${PORT} is already in use. Try a different port.`);
+      logger.error("Port is already in use. Try a different port.", { port: PORT });
     } else {
-      console.error('Server error occurred:', error);
+      logger.error("Server error occurred", { err: error });
     }
     process.exit(1);
   });
 
   // Handle process termination
   process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
+    logger.info("SIGTERM received, shutting down gracefully");
+    reconciliationWorker.stop();
+    webhookDeliveryWorker.stop();
     server.close(() => {
-      console.log('Process terminated');
+      logger.info("Process terminated");
     });
   });
 
   process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
+    logger.info("SIGINT received, shutting down gracefully");
+    reconciliationWorker.stop();
+    webhookDeliveryWorker.stop();
     server.close(() => {
-      console.log('Process terminated');
+      logger.info("Process terminated");
     });
   });
 
   // Unhandled promise rejections
   process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Promise Rejection:', reason);
+    logger.error("Unhandled Promise Rejection", { err: reason });
   });
 
   // Uncaught exceptions
   process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
+    logger.error("Uncaught Exception", { err: error });
     // Don't exit immediately to allow logging to complete
     setTimeout(() => {
       process.exit(1);
@@ -131,6 +179,6 @@ try {
   });
 
 } catch (startupError) {
-  console.error('Failed to start server:', startupError);
+  logger.error("Failed to start server", { err: startupError });
   process.exit(1);
 }
@@ -0,0 +1,75 @@
+// Migration: store payment and refund amounts as integer paise
+// Older Payment and Refund documents hold the amount in rupees as a float and have no
+// currency field. This converts them to integer paise and sets currency to INR.
+// Documents that already have a currency are left alone, so the script can be re-run safely.
+//
+// Usage:
+//   node scripts/migrateAmountsToPaise.js            (convert)
+//   node scripts/migrateAmountsToPaise.js --dry-run  (only report what would change)
+//
+// Amounts copied into PaymentEvent and WebhookDelivery payloads are historical records and
+// are not rewritten.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/common/utils/db');
+const Payment = require('../src/models/Payment');
+const Refund = require('../src/models/Refund');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Documents written before amounts were stored in paise
+const LEGACY_FILTER = { currency: { $exists: false } };
+
+// Rupees -> paise, rounded to the nearest paisa
+const AMOUNT_IN_PAISE = { $round: [{ $multiply: ['$amount', 100] }, 0] };
+
+// Legacy amounts with fractions of a paisa, which rounding will change
+const SUB_PAISA_FILTER = {
+  ...LEGACY_FILTER,
+  $expr: { $gt: [{ $abs: { $subtract: [{ $multiply: ['$amount', 100] }, AMOUNT_IN_PAISE] } }, 0.001] }
+};
+
+/**
+ * Converts one collection and reports what changed
+ *
+ * @param {Object} Model - Mongoose model (Payment or Refund)
+ * @param {string} idField - Field used to identify documents in the report
+ */
+async function migrateCollection(Model, idField) {
+  const collection = Model.collection;
+  const legacyCount = await collection.countDocuments(LEGACY_FILTER);
+  console.log(`${Model.modelName}: ${legacyCount} document(s) with amounts in rupees`);
+  if (legacyCount === 0) {
+    return;
+  }
+
+  const subPaisa = await collection.find(SUB_PAISA_FILTER, { projection: { [idField]: 1, amount: 1 } }).limit(20).toArray();
+  subPaisa.forEach(doc => {
+    console.warn(`  ${doc[idField]}: amount ${doc.amount} has more than 2 decimals and will be rounded`);
+  });
+
+  if (DRY_RUN) {
+    return;
+  }
+
+  const result = await collection.updateMany(LEGACY_FILTER, [
+    { $set: { amount: AMOUNT_IN_PAISE, currency: 'INR' } }
+  ]);
+  console.log(`${Model.modelName}: converted ${result.modifiedCount} document(s) to paise`);
+}
+
+async function main() {
+  await connectDB();
+  console.log(DRY_RUN ? 'Dry run: no documents will be changed' : 'Converting amounts to paise');
+
+  await migrateCollection(Payment, 'orderId');
+  await migrateCollection(Refund, 'merchantRefundId');
+}
+
+main()
+  .then(() => mongoose.disconnect())
+  .catch(async error => {
+    console.error('Migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
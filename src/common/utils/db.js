@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 require("dotenv").config();
+const logger = require("./logger").child({ component: "db" });
 
 /**
  * Database Connection Utility
@@ -29,24 +30,24 @@ const connectDB = async () => {
         // Connect to MongoDB
         await mongoose.connect(process.env.MONGO_URI, options);
         
-        console.log("MongoDB connected successfully");
+        logger.info("MongoDB connected successfully");
         
         // Add error event listeners to handle connection issues
         mongoose.connection.on('error', (err) => {
-            console.error('MongoDB connection error:', err);
+            logger.error('MongoDB connection error', { err });
         });
         
         mongoose.connection.on('disconnected', () => {
-            console.warn('MongoDB disconnected. Will try to reconnect automatically.');
+            logger.warn('MongoDB disconnected. Will try to reconnect automatically.');
         });
         
         mongoose.connection.on('reconnected', () => {
-            console.log('MongoDB reconnected successfully');
+            logger.info('MongoDB reconnected successfully');
         });
         
         return mongoose.connection;
     } catch (error) {
-        console.error("MongoDB connection error:", error.message);
+        logger.error("MongoDB connection error", { err: error });
         // Don't exit the application, let the caller decide what to do
         throw error; 
     }
@@ -0,0 +1,212 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line with a timestamp, level, message and fields.
+ * Fields are redacted before they are written: secrets are removed and names,
+ * mobile numbers and email addresses are masked, so full request bodies and
+ * PhonePe responses can be logged without leaking personal data.
+ *
+ * Entries written while handling a request carry its requestId and the
+ * correlationId of the payment being worked on (see middleware/requestContext),
+ * so one payment can be followed across create, redirect and webhook.
+ *
+ * Usage:
+ *   logger.info("Order created", { orderId, amount });
+ *   logger.error("Error creating order", { err: error });
+ *   const log = logger.child({ component: "reconciliationWorker" });
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] || LEVELS.info;
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 8;
+
+// Keys whose values are never logged
+const SECRET_KEY = /password|secret|token$|authorization|cookie|api-?_?key|signature|client_?id|credential/i;
+// Keys holding a customer's name. udf1/udf2 carry the name or mobile in some order flows
+const NAME_KEY = /^(name|fullName|firstName|lastName|customerName|userName|udf1|udf2)$/i;
+// Keys holding contact details, masked to their last characters
+const CONTACT_KEY = /mobile|phone|msisdn|email|vpa/i;
+
+// Indian mobile numbers (optionally +91 prefixed) and email addresses inside free text
+const MOBILE_PATTERN = /(?<!\d)(?:\+?91[\s-]?)?[6-9]\d{9}(?!\d)/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/g;
+// Bearer tokens inside free text (e.g. copied Authorization headers)
+const BEARER_PATTERN = /(Bearer\s+)[\w.~+/=-]+/gi;
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Keeps the last 4 characters of a contact detail so entries can still be matched
+ */
+const maskContact = (value) => {
+    const text = String(value);
+    return text.length <= 4 ? "****" : "*".repeat(Math.min(text.length - 4, 8)) + text.slice(-4);
+};
+
+const redactString = (text) => text
+    .replace(MOBILE_PATTERN, match => maskContact(match.replace(/\D/g, "")))
+    .replace(EMAIL_PATTERN, "[EMAIL]")
+    .replace(BEARER_PATTERN, `$1${REDACTED}`);
+
+/**
+ * Picks the useful parts of an error. Whole error objects are never logged:
+ * axios errors carry the request config, including headers and credentials.
+ */
+const serializeError = (error) => {
+    const serialized = {
+        name: error.name,
+        message: error.message
+    };
+    ["code", "httpStatus", "retryable", "details"].forEach(key => {
+        if (error[key] !== undefined) {
+            serialized[key] = error[key];
+        }
+    });
+    if (error.response && error.response.status) {
+        serialized.httpStatus = error.response.status;
+        serialized.responseData = error.response.data;
+    }
+    serialized.stack = error.stack;
+    return serialized;
+};
+
+/**
+ * Returns a copy of a value that is safe to log
+ *
+ * @param {*} value - Any value (objects, arrays, errors, strings)
+ * @returns {*} - Redacted copy
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (typeof value === "string") {
+        return redactString(value);
+    }
+    if (typeof value !== "object") {
+        return value;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+    if (depth >= MAX_DEPTH || seen.has(value)) {
+        return "[Truncated]";
+    }
+    seen.add(value);
+
+    if (value instanceof Error) {
+        // The error name is a class name, not a person's name
+        return { ...redact(serializeError(value), depth + 1, seen), name: value.name };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+
+    // Mongoose documents and other objects with a custom JSON form
+    const source = typeof value.toJSON === "function" ? value.toJSON() : value;
+    if (source !== value && (typeof source !== "object" || source === null)) {
+        return redact(source, depth + 1, seen);
+    }
+
+    const result = {};
+    Object.keys(source).forEach(key => {
+        const field = source[key];
+        if (SECRET_KEY.test(key)) {
+            result[key] = field ? REDACTED : field;
+        } else if (NAME_KEY.test(key) && typeof field !== "object") {
+            result[key] = field ? REDACTED : field;
+        } else if (CONTACT_KEY.test(key) && typeof field !== "object") {
+            result[key] = field ? maskContact(field) : field;
+        } else {
+            result[key] = redact(field, depth + 1, seen);
+        }
+    });
+    return result;
+};
+
+/**
+ * Writes one entry if its level is enabled
+ */
+const write = (level, message, bindings, fields) => {
+    if (LEVELS[level] < MIN_LEVEL) {
+        return;
+    }
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactString(String(message)),
+        ...contextStorage.getStore(),
+        ...redact({ ...bindings, ...fields })
+    };
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: error.message });
+    }
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + "\n");
+};
+
+/**
+ * Builds a logger whose entries all include the given fields
+ *
+ * @param {Object} bindings - Fields added to every entry (e.g. { component: "authService" })
+ * @returns {Object} - Logger with debug, info, warn, error and child
+ */
+const createLogger = (bindings = {}) => ({
+    debug: (message, fields) => write("debug", message, bindings, fields),
+    info: (message, fields) => write("info", message, bindings, fields),
+    warn: (message, fields) => write("warn", message, bindings, fields),
+    error: (message, fields) => write("error", message, bindings, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+});
+
+const logger = createLogger();
+
+/**
+ * Runs a function with a logging context (e.g. { requestId, correlationId }).
+ * Everything logged from inside fn, including after awaits, carries these fields.
+ *
+ * @param {Object} context - Fields added to every entry
+ * @param {Function} fn - Function to run
+ * @returns {*} - fn's return value
+ */
+logger.runWithContext = (context, fn) => contextStorage.run({ ...context }, fn);
+
+/**
+ * Adds fields to the current logging context, e.g. the orderId once a handler
+ * knows which payment it is working on. No-op outside a context.
+ *
+ * @param {Object} fields - Fields to add
+ */
+logger.addContext = (fields) => {
+    const store = contextStorage.getStore();
+    if (store) {
+        Object.keys(fields).forEach(key => {
+            if (fields[key] !== undefined && fields[key] !== null && fields[key] !== "") {
+                store[key] = fields[key];
+            }
+        });
+    }
+};
+
+/**
+ * Returns the current logging context ({} outside a request)
+ *
+ * @returns {Object}
+ */
+logger.getContext = () => ({ ...contextStorage.getStore() });
+
+logger.redact = redact;
+
+module.exports = logger;
@@ -0,0 +1,98 @@
+/**
+ * Money Utility
+ *
+ * Amounts are stored and passed around as integers in the currency's minor
+ * unit (paise for INR), the same unit PhonePe uses. Rupee strings from forms
+ * and query strings are parsed here once, and converted back only for display.
+ */
+
+// Currencies we accept: number of decimal places and display symbol
+const CURRENCIES = {
+    INR: { decimals: 2, symbol: "₹" }
+};
+
+const DEFAULT_CURRENCY = "INR";
+
+/**
+ * Looks up a currency definition
+ *
+ * @param {string} currency - ISO 4217 code
+ * @returns {Object} - { decimals, symbol }
+ * @throws {Error} - If the currency is not supported
+ */
+const getCurrency = (currency = DEFAULT_CURRENCY) => {
+    const definition = CURRENCIES[String(currency).toUpperCase()];
+    if (!definition) {
+        throw new Error(`Unsupported currency: ${currency}`);
+    }
+    return definition;
+};
+
+/**
+ * Parses an amount in major units ('49.99', 49.99, '100') into integer minor units.
+ * The string is parsed digit by digit, so no floating point rounding is involved.
+ *
+ * @param {string|number} value - Amount in major units (rupees)
+ * @param {string} currency - ISO 4217 code (default INR)
+ * @returns {number|null} - Amount in minor units (paise), or null if the value is
+ *   not a non-negative decimal or has more decimal places than the currency allows
+ */
+const parseAmount = (value, currency = DEFAULT_CURRENCY) => {
+    const { decimals } = getCurrency(currency);
+    if (typeof value !== "string" && typeof value !== "number") {
+        return null;
+    }
+
+    const match = String(value).trim().match(/^(\d+)(?:\.(\d*))?$/);
+    if (!match || (match[2] !== undefined && match[2].length > decimals)) {
+        return null;
+    }
+
+    const fraction = (match[2] || "").padEnd(decimals, "0");
+    const minor = parseInt(match[1] + fraction, 10);
+    return Number.isSafeInteger(minor) ? minor : null;
+};
+
+/**
+ * Converts integer minor units to a major-unit number, for API responses
+ *
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO 4217 code (default INR)
+ * @returns {number} - Amount in major units (e.g. 4999 -> 49.99)
+ */
+const toMajorUnits = (minor, currency = DEFAULT_CURRENCY) => {
+    return minor / Math.pow(10, getCurrency(currency).decimals);
+};
+
+/**
+ * Formats integer minor units for display
+ *
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO 4217 code (default INR)
+ * @returns {string} - e.g. 4999 -> '₹49.99'
+ */
+const formatAmount = (minor, currency = DEFAULT_CURRENCY) => {
+    const { decimals, symbol } = getCurrency(currency);
+    const sign = minor < 0 ? "-" : "";
+    const digits = String(Math.abs(minor)).padStart(decimals + 1, "0");
+    const major = digits.slice(0, digits.length - decimals);
+    const fraction = decimals > 0 ? "." + digits.slice(digits.length - decimals) : "";
+    return `${sign}${symbol}${major}${fraction}`;
+};
+
+/**
+ * Checks that a value is a valid stored amount (a non-negative integer)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isMinorAmount = (value) => Number.isSafeInteger(value) && value >= 0;
+
+module.exports = {
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    parseAmount,
+    toMajorUnits,
+    formatAmount,
+    isMinorAmount
+};
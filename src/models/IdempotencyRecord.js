@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// How long a key is remembered (IDEMPOTENCY_TTL_HOURS, default 24 hours)
+const RECORD_TTL_SECONDS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60;
+
+/**
+ * IdempotencyRecord Schema
+ * Stores the first response of an order-creation request so a retry with the
+ * same Idempotency-Key (or merchantOrderId) gets the same PhonePe order back
+ */
+const idempotencyRecordSchema = new mongoose.Schema({
+  // Endpoint the key was used on (e.g. 'checkout-payment')
+  scope: {
+    type: String,
+    required: true
+  },
+  // Merchant domain of the request ('' for endpoints without one), so two merchants
+  // using the same key don't get each other's responses
+  domain: {
+    type: String,
+    default: ''
+  },
+  // Idempotency-Key header, or the merchantOrderId supplied by the client
+  key: {
+    type: String,
+    required: true
+  },
+  // Hash of the parameters that must match on a replay (domain and amount)
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  // 'processing' while the first request runs, 'completed' once its response is stored
+  state: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // First response: status code, redirect location, content type and body
+  response: {
+    statusCode: Number,
+    location: String,
+    contentType: String,
+    body: String
+  },
+  // When the key was first used; MongoDB removes the record after RECORD_TTL_SECONDS
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RECORD_TTL_SECONDS
+  },
+  // When the record was last updated
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A key can be used once per endpoint and merchant domain
+idempotencyRecordSchema.index({ scope: 1, domain: 1, key: 1 }, { unique: true });
+
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+
+module.exports = IdempotencyRecord;
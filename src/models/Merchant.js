@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * Merchant Schema
+ * Stores each client domain we accept payments for and where shoppers are
+ * sent back to once a payment finishes
+ */
+const merchantSchema = new mongoose.Schema({
+  // Client domain as sent in the 'domain' parameter (e.g. 'shop.example.com')
+  domain: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  // Name shown to shoppers and in the admin endpoints
+  displayName: {
+    type: String,
+    default: ''
+  },
+  // Look of the hosted payment pages (redirect, error, /upp and /multipayment) for this
+  // domain; unset values fall back to the default theme (see utils/branding)
+  branding: {
+    // https URL of the logo shown at the top of the pages
+    logoUrl: { type: String, default: null },
+    // Buttons, links and headings, as #rgb or #rrggbb
+    primaryColor: { type: String, default: null },
+    // Page background, as #rgb or #rrggbb
+    backgroundColor: { type: String, default: null },
+    // Support contact shown at the bottom of the pages
+    supportEmail: { type: String, default: null },
+    supportPhone: { type: String, default: null },
+    // https URL of the merchant's help or contact page
+    supportUrl: { type: String, default: null }
+  },
+  // Extra hosts (besides the domain itself) that redirect URLs may point to
+  allowedHosts: {
+    type: [String],
+    default: []
+  },
+  // Where to send the shopper after a successful payment (default https://<domain>/thankyou)
+  successUrl: {
+    type: String,
+    default: null
+  },
+  // Where to send the shopper after a failed, expired or still pending payment (default https://<domain>/cart)
+  failureUrl: {
+    type: String,
+    default: null
+  },
+  // Where to send the shopper after cancelling on the PhonePe page (default https://<domain>/cart)
+  cancelUrl: {
+    type: String,
+    default: null
+  },
+  // Where signed payment events (payment.success, payment.failed, ...) are posted
+  callbackUrl: {
+    type: String,
+    default: null
+  },
+  // Shared secret used to sign payment intents and outgoing payment events (HMAC-SHA256); never returned by queries unless selected
+  signingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Refuse unsigned /process-payment requests for this merchant
+  requireSignature: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive merchants cannot start new payments
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // When the merchant was added
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the merchant was last edited
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+merchantSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+const Merchant = mongoose.model('Merchant', merchantSchema);
+
+module.exports = Merchant;
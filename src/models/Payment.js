@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCIES, DEFAULT_CURRENCY, isMinorAmount } = require('../common/utils/money');
 
 /**
  * Payment Schema
@@ -17,22 +18,120 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  // Payment amount in rupees (stored as a number)
+  // Payment amount in minor units (paise for INR), always an integer
   amount: {
     type: Number,
-    required: true
+    required: true,
+    validate: {
+      validator: isMinorAmount,
+      message: 'amount must be a non-negative integer in minor units (paise)'
+    }
+  },
+  // ISO 4217 currency of the amount
+  currency: {
+    type: String,
+    enum: Object.keys(CURRENCIES),
+    default: DEFAULT_CURRENCY
+  },
+  // Amount held by refunds that are pending or completed, in paise. Refunds reserve their
+  // amount here with a conditional update before PhonePe is called (refundService), so
+  // concurrent refunds can't add up to more than the payment. Missing on payments
+  // created before it existed; it is filled in from the Refund records on first use.
+  refundedAmount: {
+    type: Number,
+    default: 0
   },
   // Additional payment details (can store various properties)
   paymentDetails: {
     type: Object,
     default: {}
   },
-  // Payment status: 'pending', 'success', 'failed', 'cancelled'
+  // Payment status: 'pending', 'success', 'failed', 'cancelled', 'expired', 'refunded'
+  // Allowed changes are defined in phonepay/utils/paymentStateMachine.js
   status: {
     type: String,
-    enum: ['pending', 'success', 'failed', 'cancelled'],
+    enum: ['pending', 'success', 'failed', 'cancelled', 'expired', 'refunded'],
     default: 'pending'
   },
+  // Request ID of the request that created the payment. Also sent to PhonePe as
+  // metaInfo.udf5, so redirect, webhook and reconciliation logs can be tied to it
+  correlationId: {
+    type: String,
+    default: null
+  },
+  // When the PhonePe order expires (creation time + expireAfter)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Background reconciliation state for payments left pending
+  reconciliation: {
+    // Number of status checks made by the reconciliation worker
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // When the worker last queried PhonePe for this payment
+    lastCheckedAt: {
+      type: Date,
+      default: null
+    },
+    // Earliest time the worker should check this payment again (backoff)
+    nextCheckAt: {
+      type: Date,
+      default: null
+    },
+    // Last error returned while checking the status
+    lastError: {
+      type: String,
+      default: null
+    },
+    // Set when the payment was expired because its status checks were still
+    // failing after the expiry window (an alert asks for it to be confirmed)
+    exhausted: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Set when PhonePe reported a different amount than we stored. The payment is kept
+  // out of 'success' until someone reviews it (GET /api/admin/flagged-payments)
+  mismatch: {
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    // Amount we stored and amount PhonePe reported, in paise
+    expectedAmount: {
+      type: Number,
+      default: null
+    },
+    reportedAmount: {
+      type: Number,
+      default: null
+    },
+    // Where the mismatch was seen: 'redirect', 'webhook', 'poll' or 'manual'
+    source: {
+      type: String,
+      default: null
+    },
+    detectedAt: {
+      type: Date,
+      default: null
+    },
+    // Filled in when an admin settles the flagged payment
+    resolvedAt: {
+      type: Date,
+      default: null
+    },
+    resolvedBy: {
+      type: String,
+      default: null
+    },
+    resolutionNote: {
+      type: String,
+      default: null
+    }
+  },
   // When the payment record was created
   createdAt: {
     type: Date,
@@ -53,6 +152,17 @@ paymentSchema.pre('save', function(next) {
   next();
 });
 
+// Supports the reconciliation worker's query for stale pending payments
+paymentSchema.index({ status: 1, 'reconciliation.nextCheckAt': 1, createdAt: 1 });
+
+// Support the admin payment search (per-domain listings and reference lookups)
+paymentSchema.index({ domainName: 1, createdAt: -1 });
+paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'paymentDetails.transactionId': 1 });
+
+// Supports the admin list of payments flagged for an amount mismatch
+paymentSchema.index({ 'mismatch.flagged': 1, 'mismatch.detectedAt': -1 });
+
 const Payment = mongoose.model('Payment', paymentSchema);
 
 module.exports = Payment;
\ No newline at end of file
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * PaymentEvent Schema
+ * Append-only audit trail of everything that happened to a payment, in order.
+ * The Payment document only holds the latest state; its events hold the history.
+ */
+const paymentEventSchema = new mongoose.Schema({
+  // Order ID of the payment (matches Payment.orderId)
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // What produced the event:
+  // 'created'  - payment record created
+  // 'redirect' - shopper returned from PhonePe (payment-status callback)
+  // 'webhook'  - PhonePe webhook
+  // 'cancel'   - shopper cancelled on the PhonePe page
+  // 'poll'     - reconciliation worker status check
+  // 'refund'   - refund initiated or refund status changed
+  // 'manual'   - admin action (e.g. a re-check from the dashboard)
+  source: {
+    type: String,
+    enum: ['created', 'redirect', 'webhook', 'cancel', 'poll', 'refund', 'manual'],
+    required: true
+  },
+  // Payment status before the event (null for 'created')
+  previousStatus: {
+    type: String,
+    default: null
+  },
+  // Status the event asked for; equals previousStatus when nothing changed
+  newStatus: {
+    type: String,
+    default: null
+  },
+  // False when the state machine rejected the requested status
+  applied: {
+    type: Boolean,
+    default: true
+  },
+  // Who triggered the event when known (admin username, worker name)
+  actor: {
+    type: String,
+    default: null
+  },
+  // Short human readable description
+  note: {
+    type: String,
+    default: null
+  },
+  // Raw payload: PhonePe response, webhook body or request parameters
+  payload: {
+    type: Object,
+    default: null
+  },
+  // When the event happened
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Timeline of an order, oldest first
+paymentEventSchema.index({ orderId: 1, createdAt: 1 });
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+module.exports = PaymentEvent;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Nonces only need to be kept while their signed intent could still be accepted
+const NONCE_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * PaymentIntentNonce Schema
+ * Records the nonce of every signed payment intent that was accepted so the
+ * same signed link cannot be used to start a second payment
+ */
+const paymentIntentNonceSchema = new mongoose.Schema({
+  // Merchant domain the intent was signed for
+  domain: {
+    type: String,
+    required: true
+  },
+  // Random value chosen by the storefront when signing
+  nonce: {
+    type: String,
+    required: true
+  },
+  // When the nonce was used; MongoDB removes the record after NONCE_TTL_SECONDS
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: NONCE_TTL_SECONDS
+  }
+});
+
+// A nonce can be used once per domain
+paymentIntentNonceSchema.index({ domain: 1, nonce: 1 }, { unique: true });
+
+const PaymentIntentNonce = mongoose.model('PaymentIntentNonce', paymentIntentNonceSchema);
+
+module.exports = PaymentIntentNonce;
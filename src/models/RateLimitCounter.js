@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * RateLimitCounter Schema
+ * Number of requests made by one client (IP, domain or mobile number) in one
+ * rate limit window, shared by all instances when RATE_LIMIT_STORE=mongo
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Hashed '<dimension>:<value>' the limit applies to (e.g. the hash of 'ip:203.0.113.7')
+  key: {
+    type: String,
+    required: true
+  },
+  // Start of the window the count belongs to
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  // Requests counted in the window
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; MongoDB removes the counter once it has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+// One counter per key and window
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, DEFAULT_CURRENCY, isMinorAmount } = require('../common/utils/money');
+
+/**
+ * Refund Schema
+ * Stores every refund (full or partial) issued against a payment
+ */
+const refundSchema = new mongoose.Schema({
+  // Unique refund ID we send to PhonePe as merchantRefundId
+  merchantRefundId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Order ID of the original payment (matches Payment.orderId)
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Reference to the original payment record
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  // Refund amount in minor units (paise for INR), always an integer
+  amount: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: isMinorAmount,
+      message: 'amount must be a non-negative integer in minor units (paise)'
+    }
+  },
+  // ISO 4217 currency of the amount
+  currency: {
+    type: String,
+    enum: Object.keys(CURRENCIES),
+    default: DEFAULT_CURRENCY
+  },
+  // Optional reason entered by the support team
+  reason: {
+    type: String,
+    default: ''
+  },
+  // Refund ID assigned by PhonePe
+  phonepeRefundId: {
+    type: String,
+    default: null
+  },
+  // Refund status: 'pending', 'completed', 'failed'
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Latest response received from PhonePe for this refund
+  phonepeResponse: {
+    type: Object,
+    default: {}
+  },
+  // When the refund record was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the refund status was last updated
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+refundSchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookDelivery Schema
+ * One outgoing payment event for a merchant's callback URL, with every
+ * delivery attempt and the response code it got
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  // Unique event ID sent as X-Webhook-Id (<orderId>:<status>), so each settlement is sent once
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Event type (e.g. 'payment.success', 'payment.failed')
+  eventType: {
+    type: String,
+    required: true
+  },
+  // Merchant domain the event belongs to
+  domain: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Order ID of the payment (matches Payment.orderId)
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Callback URL the event is posted to
+  url: {
+    type: String,
+    required: true
+  },
+  // JSON body posted to the merchant
+  payload: {
+    type: Object,
+    required: true
+  },
+  // Delivery status: 'pending' (will be retried), 'delivered', 'failed' (gave up)
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  // Number of delivery attempts made
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due (null once delivered or failed)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // HTTP status of the latest attempt (null if no response was received)
+  lastResponseCode: {
+    type: Number,
+    default: null
+  },
+  // Error of the latest failed attempt
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Every attempt made, oldest first
+  attemptLog: [{
+    attemptedAt: Date,
+    responseCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  // When the event was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the delivery was last updated
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Used by the delivery worker to find due events
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Update the updatedAt timestamp before saving
+webhookDeliverySchema.pre('save', function(next) {
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
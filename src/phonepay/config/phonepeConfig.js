@@ -0,0 +1,57 @@
+/**
+ * PhonePe Environment Configuration
+ *
+ * Selects the PhonePe endpoints for the active environment from a single
+ * setting, PHONEPE_ENV:
+ *   - 'production' (default) - live PhonePe APIs, real money
+ *   - 'sandbox'              - PhonePe UAT/pre-production APIs for testing
+ *   - 'mock'                 - local mock server (npm run mock) at PHONEPE_MOCK_URL
+ */
+const MOCK_URL = (process.env.PHONEPE_MOCK_URL || 'http://localhost:5055').replace(/\/+$/, '');
+
+const ENVIRONMENTS = {
+  production: {
+    authBaseUrl: 'https://api.phonepe.com/apis/identity-manager',
+    pgBaseUrl: 'https://api.phonepe.com/apis/pg'
+  },
+  sandbox: {
+    authBaseUrl: 'https://api-preprod.phonepe.com/apis/pg-sandbox',
+    pgBaseUrl: 'https://api-preprod.phonepe.com/apis/pg-sandbox'
+  },
+  mock: {
+    authBaseUrl: MOCK_URL,
+    pgBaseUrl: MOCK_URL
+  }
+};
+
+const environment = (process.env.PHONEPE_ENV || 'production').trim().toLowerCase();
+
+if (!ENVIRONMENTS[environment]) {
+  throw new Error(`Invalid PHONEPE_ENV "${process.env.PHONEPE_ENV}". Expected one of: ${Object.keys(ENVIRONMENTS).join(', ')}`);
+}
+
+const { authBaseUrl, pgBaseUrl } = ENVIRONMENTS[environment];
+
+const phonepeConfig = {
+  // Name of the active environment ('production', 'sandbox' or 'mock')
+  environment,
+  isProduction: environment === 'production',
+  authBaseUrl,
+  pgBaseUrl,
+  // Timeout of every PhonePe request, token requests included (PHONEPE_TIMEOUT_MS, default 10s)
+  timeoutMs: parseInt(process.env.PHONEPE_TIMEOUT_MS, 10) || 10000,
+  endpoints: {
+    // OAuth token endpoint
+    auth: `${authBaseUrl}/v1/oauth/token`,
+    // Create payment order
+    pay: `${pgBaseUrl}/checkout/v2/pay`,
+    // Order status by merchant order ID
+    orderStatus: (merchantOrderId) => `${pgBaseUrl}/checkout/v2/order/${encodeURIComponent(merchantOrderId)}/status`,
+    // Initiate refund
+    refund: `${pgBaseUrl}/payments/v2/refund`,
+    // Refund status by merchant refund ID
+    refundStatus: (merchantRefundId) => `${pgBaseUrl}/payments/v2/refund/${encodeURIComponent(merchantRefundId)}/status`
+  }
+};
+
+module.exports = phonepeConfig;
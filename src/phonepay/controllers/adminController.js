@@ -0,0 +1,441 @@
+const merchantService = require("../services/merchantService");
+const merchantWebhookService = require("../services/merchantWebhookService");
+const paymentService = require("../services/paymentService");
+const paymentEventService = require("../services/paymentEventService");
+const refundService = require("../services/refundService");
+const phonePeClient = require("../services/phonePeClient");
+const MerchantValidationError = require("../errors/MerchantValidationError");
+const InvalidTransitionError = require("../errors/InvalidTransitionError");
+const AmountMismatchError = require("../errors/AmountMismatchError");
+const PhonePeApiError = require("../errors/PhonePeApiError");
+const { STATUSES } = require("../utils/paymentStateMachine");
+const { mapOrderState } = require("../utils/statusMapper");
+const { normalizeDomain } = require("../utils/merchantUrls");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { parseAmount } = require("../../common/utils/money");
+const { sendError, sendServerError } = require("../utils/apiResponse");
+const logger = require("../../common/utils/logger");
+
+/**
+ * Lists all configured merchants
+ */
+const listMerchants = async (req, res) => {
+  try {
+    const merchants = await merchantService.listMerchants();
+    return res.json({
+      success: true,
+      count: merchants.length,
+      merchants
+    });
+  } catch (error) {
+    logger.error("Failed to list merchants", { err: error });
+    return sendServerError(res, "Failed to list merchants", error);
+  }
+};
+
+/**
+ * Gets a single merchant by domain
+ */
+const getMerchant = async (req, res) => {
+  try {
+    const merchant = await merchantService.getMerchantByDomain(req.params.domain);
+    if (!merchant) {
+      return sendError(res, 404, "MERCHANT_NOT_FOUND", `Merchant ${req.params.domain} not found`);
+    }
+    return res.json({ success: true, merchant });
+  } catch (error) {
+    logger.error("Failed to fetch merchant", { err: error });
+    return sendServerError(res, "Failed to fetch merchant", error);
+  }
+};
+
+/**
+ * Creates a merchant entry
+ *
+ * Body: { domain, displayName, allowedHosts, successUrl, failureUrl, cancelUrl, callbackUrl, requireSignature, active,
+ *   branding: { logoUrl, primaryColor, backgroundColor, supportEmail, supportPhone, supportUrl } }
+ */
+const createMerchant = async (req, res) => {
+  try {
+    const merchant = await merchantService.createMerchant(req.body || {});
+    logger.info("Merchant created", { domain: merchant.domain, adminUser: req.adminUser });
+    return res.status(201).json({ success: true, merchant });
+  } catch (error) {
+    if (error instanceof MerchantValidationError) {
+      return sendError(res, 400, error.code, error.message, error.details);
+    }
+    logger.error("Failed to create merchant", { err: error });
+    return sendServerError(res, "Failed to create merchant", error);
+  }
+};
+
+/**
+ * Edits a merchant entry; only the fields present in the body are changed
+ */
+const updateMerchant = async (req, res) => {
+  try {
+    const merchant = await merchantService.updateMerchant(req.params.domain, req.body || {});
+    if (!merchant) {
+      return sendError(res, 404, "MERCHANT_NOT_FOUND", `Merchant ${req.params.domain} not found`);
+    }
+    logger.info("Merchant updated", { domain: merchant.domain, adminUser: req.adminUser });
+    return res.json({ success: true, merchant });
+  } catch (error) {
+    if (error instanceof MerchantValidationError) {
+      return sendError(res, 400, error.code, error.message, error.details);
+    }
+    logger.error("Failed to update merchant", { err: error });
+    return sendServerError(res, "Failed to update merchant", error);
+  }
+};
+
+/**
+ * Generates a new payment intent signing secret for a merchant.
+ * The secret is only returned by this call, so store it right away.
+ */
+const rotateSigningSecret = async (req, res) => {
+  try {
+    const signingSecret = await merchantService.rotateSigningSecret(req.params.domain);
+    if (!signingSecret) {
+      return sendError(res, 404, "MERCHANT_NOT_FOUND", `Merchant ${req.params.domain} not found`);
+    }
+    logger.info("Signing secret rotated", { domain: req.params.domain, adminUser: req.adminUser });
+    return res.json({ success: true, signingSecret });
+  } catch (error) {
+    logger.error("Failed to rotate signing secret", { err: error });
+    return sendServerError(res, "Failed to rotate signing secret", error);
+  }
+};
+
+/**
+ * Lists outgoing merchant webhook deliveries with their response codes
+ *
+ * Query: domain, orderId, status ('pending', 'delivered', 'failed'), limit (default 50, max 200)
+ */
+const listWebhookDeliveries = async (req, res) => {
+  try {
+    // Query checked by schemas.adminWebhookDeliveries
+    const { domain, orderId, status, limit } = req.query;
+    const deliveries = await merchantWebhookService.listDeliveries({
+      domain: domain ? normalizeDomain(domain) : undefined,
+      orderId,
+      status,
+      limit
+    });
+    return res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    logger.error("Failed to list webhook deliveries", { err: error });
+    return sendServerError(res, "Failed to list webhook deliveries", error);
+  }
+};
+
+/**
+ * Parses the filters of the payment search from the query string
+ *
+ * @returns {Object} { filters, problems } - problems lists every invalid parameter
+ */
+const parsePaymentFilters = (query) => {
+  const filters = {};
+  const problems = [];
+
+  if (query.domain) {
+    filters.domain = normalizeDomain(query.domain);
+  }
+  if (query.status) {
+    filters.statuses = String(query.status).split(",").map(status => status.trim()).filter(Boolean);
+    const unknown = filters.statuses.filter(status => !STATUSES.includes(status));
+    if (unknown.length > 0) {
+      problems.push(`status must be one of ${STATUSES.join(", ")}`);
+    }
+  }
+  ["from", "to"].forEach(param => {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        problems.push(`${param} must be a date (e.g. 2024-01-31 or an ISO timestamp)`);
+      } else {
+        filters[param] = date;
+      }
+    }
+  });
+  ["minAmount", "maxAmount"].forEach(param => {
+    if (query[param] !== undefined && query[param] !== "") {
+      // Given in rupees, compared against amounts stored in paisa
+      const amount = parseAmount(query[param]);
+      if (amount === null) {
+        problems.push(`${param} must be a non-negative number of rupees with at most 2 decimal places`);
+      } else {
+        filters[param] = amount;
+      }
+    }
+  });
+  if (query.mobile) {
+    filters.mobile = String(query.mobile).trim();
+  }
+  if (query.paymentMode) {
+    filters.paymentMode = String(query.paymentMode).trim();
+  }
+  // 'reference' matches PhonePe transaction IDs and bank UTRs; 'transactionId' and 'utr' are aliases
+  const reference = query.reference || query.transactionId || query.utr;
+  if (reference) {
+    filters.reference = String(reference).trim();
+  }
+
+  return { filters, problems };
+};
+
+/**
+ * Searches payments with filters, sorting and cursor pagination
+ *
+ * Query:
+ * - domain, status (comma separated), from, to (creation date range)
+ * - minAmount, maxAmount (rupees), mobile, paymentMode
+ * - reference (or transactionId / utr) - PhonePe transaction ID or bank UTR
+ * - sort - 'createdAt', 'updatedAt' or 'amount', prefixed with '-' for descending (default '-createdAt')
+ * - limit (default 50, max 200), cursor (nextCursor of the previous page)
+ */
+const listPayments = async (req, res) => {
+  try {
+    const { filters, problems } = parsePaymentFilters(req.query);
+
+    const sort = String(req.query.sort || "-createdAt");
+    const sortOrder = sort.startsWith("-") ? -1 : 1;
+    const sortField = sort.replace(/^[-+]/, "");
+    if (!["createdAt", "updatedAt", "amount"].includes(sortField)) {
+      problems.push("sort must be 'createdAt', 'updatedAt' or 'amount', optionally prefixed with '-'");
+    }
+
+    let after = null;
+    if (req.query.cursor) {
+      after = decodeCursor(req.query.cursor, sortField, sortOrder);
+      if (!after) {
+        problems.push("cursor is invalid or was issued for a different sort");
+      }
+    }
+
+    if (problems.length > 0) {
+      return sendError(res, 400, "INVALID_PAYMENT_SEARCH", "Invalid payment search", problems);
+    }
+
+    const { payments, hasMore } = await paymentService.searchPayments({ filters, sortField, sortOrder, after, limit: req.query.limit });
+
+    return res.json({
+      success: true,
+      count: payments.length,
+      payments,
+      nextCursor: hasMore ? encodeCursor(payments[payments.length - 1], sortField, sortOrder) : null
+    });
+  } catch (error) {
+    logger.error("Failed to search payments", { err: error });
+    return sendServerError(res, "Failed to search payments", error);
+  }
+};
+
+/**
+ * Gets a payment with its full paymentDetails, event timeline,
+ * refunds and merchant webhook deliveries
+ */
+const getPayment = async (req, res) => {
+  try {
+    const payment = await paymentService.getPaymentByOrderId(req.params.orderId);
+    if (!payment) {
+      return sendError(res, 404, "PAYMENT_NOT_FOUND", `Payment ${req.params.orderId} not found`);
+    }
+
+    const [events, refunds, webhookDeliveries] = await Promise.all([
+      paymentEventService.getTimeline(payment.orderId),
+      refundService.getRefundsByOrderId(payment.orderId),
+      merchantWebhookService.listDeliveries({ orderId: payment.orderId })
+    ]);
+
+    return res.json({
+      success: true,
+      payment,
+      events,
+      refunds,
+      webhookDeliveries
+    });
+  } catch (error) {
+    logger.error("Failed to fetch payment", { err: error });
+    return sendServerError(res, "Failed to fetch payment", error);
+  }
+};
+
+/**
+ * Gets the event timeline of a payment, oldest first
+ */
+const getPaymentEvents = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const events = await paymentEventService.getTimeline(orderId);
+    if (events.length === 0 && !(await paymentService.getPaymentByOrderId(orderId))) {
+      return sendError(res, 404, "PAYMENT_NOT_FOUND", `Payment ${orderId} not found`);
+    }
+
+    return res.json({
+      success: true,
+      orderId,
+      events
+    });
+  } catch (error) {
+    logger.error("Failed to fetch payment events", { err: error });
+    return sendServerError(res, "Failed to fetch payment events", error);
+  }
+};
+
+/**
+ * Re-checks a payment's status with PhonePe and stores the result
+ *
+ * The new status goes through the payment state machine like any other
+ * update; a status PhonePe reports that can't be applied is returned with
+ * rejected: true and the payment is left unchanged.
+ */
+const recheckPayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const payment = await paymentService.getPaymentByOrderId(orderId);
+    if (!payment) {
+      return sendError(res, 404, "PAYMENT_NOT_FOUND", `Payment ${orderId} not found`);
+    }
+
+    logger.addContext({ orderId, correlationId: payment.correlationId });
+    logger.info("Admin re-checking payment", { adminUser: req.adminUser, status: payment.status });
+    const orderData = await phonePeClient.getOrderStatus(orderId);
+    const newStatus = mapOrderState(orderData.state, orderData.errorCode);
+
+    const additionalDetails = {
+      "paymentDetails.phonepeResponse": orderData,
+      "paymentDetails.lastUpdated": new Date().toISOString()
+    };
+    if (newStatus === "success" && orderData.paymentDetails && orderData.paymentDetails.length > 0) {
+      const paymentDetail = orderData.paymentDetails[0];
+      additionalDetails["paymentDetails.transactionId"] = paymentDetail.transactionId || "";
+      additionalDetails["paymentDetails.paymentMode"] = paymentDetail.paymentMode || "";
+    }
+
+    let updatedPayment;
+    let rejected = false;
+    let amountMismatch = false;
+    try {
+      updatedPayment = await paymentService.updatePaymentStatus(orderId, newStatus, additionalDetails, {
+        source: "manual",
+        actor: req.adminUser,
+        payload: orderData,
+        reportedAmount: orderData.amount
+      });
+    } catch (transitionError) {
+      if (!(transitionError instanceof InvalidTransitionError) && !(transitionError instanceof AmountMismatchError)) {
+        throw transitionError;
+      }
+      rejected = true;
+      amountMismatch = transitionError instanceof AmountMismatchError;
+      updatedPayment = await paymentService.getPaymentByOrderId(orderId);
+    }
+
+    return res.json({
+      success: true,
+      phonepeState: orderData.state,
+      previousStatus: payment.status,
+      status: updatedPayment.status,
+      changed: payment.status !== updatedPayment.status,
+      rejected,
+      amountMismatch,
+      payment: updatedPayment
+    });
+  } catch (error) {
+    if (error instanceof PhonePeApiError) {
+      logger.error("PhonePe status check failed", { orderId: req.params.orderId, err: error });
+      return sendError(res, 502, error.code, "PhonePe status check failed", error.details || error.message);
+    }
+    logger.error("Failed to re-check payment", { err: error });
+    return sendServerError(res, "Failed to re-check payment", error);
+  }
+};
+
+/**
+ * Lists payments flagged because PhonePe reported a different amount than we stored
+ *
+ * Query: state ('open' (default), 'resolved' or 'all'), limit (default 50, max 200)
+ */
+const listFlaggedPayments = async (req, res) => {
+  try {
+    // Query checked by schemas.adminFlaggedPayments
+    const { state, limit } = req.query;
+    const resolved = state === "all" ? undefined : state === "resolved";
+    const payments = await paymentService.listFlaggedPayments({ resolved, limit });
+    return res.json({
+      success: true,
+      count: payments.length,
+      payments
+    });
+  } catch (error) {
+    logger.error("Failed to list flagged payments", { err: error });
+    return sendServerError(res, "Failed to list flagged payments", error);
+  }
+};
+
+/**
+ * Settles a payment flagged for an amount mismatch after manual review
+ *
+ * Body: status ('success' to accept the payment, 'failed' to reject it), note
+ */
+const resolveFlaggedPayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { status, note } = req.body || {};
+    if (!["success", "failed"].includes(status)) {
+      return sendError(res, 400, "INVALID_STATUS", "status must be 'success' or 'failed'");
+    }
+
+    const payment = await paymentService.getPaymentByOrderId(orderId);
+    if (!payment || !payment.mismatch?.flagged || payment.mismatch.resolvedAt) {
+      return sendError(res, 404, "NO_OPEN_MISMATCH", `Payment ${orderId} has no open amount mismatch`);
+    }
+
+    logger.addContext({ orderId, correlationId: payment.correlationId });
+    logger.info("Admin resolving amount mismatch", { adminUser: req.adminUser, status });
+    try {
+      await paymentService.updatePaymentStatus(orderId, status, {}, {
+        source: "manual",
+        actor: req.adminUser,
+        payload: { resolution: status, note: note || null }
+      });
+    } catch (transitionError) {
+      if (!(transitionError instanceof InvalidTransitionError)) {
+        throw transitionError;
+      }
+      return sendError(res, 409, "PAYMENT_ALREADY_SETTLED", `Payment ${orderId} is already ${transitionError.fromStatus}`);
+    }
+
+    const resolvedPayment = await paymentService.resolveAmountMismatch(orderId, {
+      resolvedBy: req.adminUser,
+      note
+    });
+    return res.json({
+      success: true,
+      payment: resolvedPayment || await paymentService.getPaymentByOrderId(orderId)
+    });
+  } catch (error) {
+    logger.error("Failed to resolve flagged payment", { err: error });
+    return sendServerError(res, "Failed to resolve flagged payment", error);
+  }
+};
+
+module.exports = {
+  listMerchants,
+  getMerchant,
+  createMerchant,
+  updateMerchant,
+  rotateSigningSecret,
+  listWebhookDeliveries,
+  listPayments,
+  getPayment,
+  getPaymentEvents,
+  recheckPayment,
+  listFlaggedPayments,
+  resolveFlaggedPayment
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const path = require("path");
+const adminSession = require("../utils/adminSession");
+const rateLimitService = require("../services/rateLimitService");
+const gatewayMetrics = require("../utils/gatewayMetrics");
+const logger = require("../../common/utils/logger");
+
+// Login attempts allowed per client IP in each window (ADMIN_LOGIN_MAX_ATTEMPTS, default 10;
+// ADMIN_LOGIN_WINDOW_MINUTES, default 15). Further attempts are refused until the window ends.
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.ADMIN_LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOGIN_WINDOW_MS = (parseInt(process.env.ADMIN_LOGIN_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+/**
+ * Compares two strings in constant time (hashing first so lengths don't leak)
+ */
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+/**
+ * Serves the dashboard login page
+ */
+const serveLogin = (req, res) => {
+  if (adminSession.getSession(req)) {
+    return res.redirect('/admin');
+  }
+  res.sendFile(path.join(__dirname, '../views/admin/login.html'));
+};
+
+/**
+ * Counts a login attempt from the request's IP (hashed, like the payment rate limits)
+ *
+ * @returns {Promise<Object|null>} - { retryAfterSeconds } if the IP is over the limit, otherwise null
+ */
+const checkLoginAttempts = async (req) => {
+  const key = crypto.createHash('sha256').update(`admin-login:${req.ip}`).digest('hex');
+  const { count, resetAt } = await rateLimitService.hit(key, LOGIN_WINDOW_MS);
+  if (count <= LOGIN_MAX_ATTEMPTS) {
+    return null;
+  }
+  return { retryAfterSeconds: Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1) };
+};
+
+/**
+ * Checks the dashboard credentials (ADMIN_USERNAME / ADMIN_PASSWORD) and starts a session.
+ * Attempts are limited per client IP so the password can't be guessed by brute force.
+ */
+const login = async (req, res) => {
+  const { username, password } = req.body || {};
+  const expectedUsername = process.env.ADMIN_USERNAME;
+  const expectedPassword = process.env.ADMIN_PASSWORD;
+
+  if (!expectedUsername || !expectedPassword) {
+    logger.error('Admin login refused: ADMIN_USERNAME and ADMIN_PASSWORD are not configured');
+    return res.redirect('/admin/login?error=not_configured');
+  }
+
+  const locked = await checkLoginAttempts(req);
+  if (locked) {
+    gatewayMetrics.rateLimitBlocked.inc({ endpoint: 'admin-login', dimension: 'ip' });
+    logger.warn('Admin login refused: too many attempts', { ip: req.ip, retryAfterSeconds: locked.retryAfterSeconds });
+    res.set('Retry-After', String(locked.retryAfterSeconds));
+    return res.redirect('/admin/login?error=too_many_attempts');
+  }
+
+  // Check both values so a wrong username takes as long as a wrong password
+  const validUsername = safeEqual(username || '', expectedUsername);
+  const validPassword = safeEqual(password || '', expectedPassword);
+  if (!validUsername || !validPassword) {
+    logger.warn('Admin login failed', { ip: req.ip });
+    return res.redirect('/admin/login?error=invalid');
+  }
+
+  if (!adminSession.hasConfiguredSecret()) {
+    logger.warn('ADMIN_SESSION_SECRET is not set; admin sessions will end when the server restarts');
+  }
+
+  logger.info('Admin logged in', { adminUser: username, ip: req.ip });
+  res.cookie(adminSession.COOKIE_NAME, adminSession.createSessionToken(username), adminSession.cookieOptions(req));
+  return res.redirect('/admin');
+};
+
+/**
+ * Ends the dashboard session
+ */
+const logout = (req, res) => {
+  res.clearCookie(adminSession.COOKIE_NAME, { path: '/' });
+  return res.redirect('/admin/login');
+};
+
+/**
+ * Serves the payments dashboard; it loads its data from the /api/admin endpoints
+ */
+const serveDashboard = (req, res) => {
+  if (!adminSession.getSession(req)) {
+    return res.redirect('/admin/login');
+  }
+  res.sendFile(path.join(__dirname, '../views/admin/dashboard.html'));
+};
+
+module.exports = {
+  serveLogin,
+  login,
+  logout,
+  serveDashboard
+};
@@ -0,0 +1,44 @@
+const healthService = require("../services/healthService");
+const logger = require("../../common/utils/logger");
+
+/**
+ * Liveness probe: the process is up and serving requests.
+ * Deliberately checks nothing else, so a database outage doesn't get the process restarted.
+ */
+const getHealth = (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    status: "ok",
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Readiness probe: the database, PhonePe authentication and the reconciliation
+ * worker are all working. Answers 503 with the failing checks when degraded,
+ * so load balancers stop routing payments to this instance.
+ */
+const getReadiness = async (req, res) => {
+  res.set("Cache-Control", "no-store");
+  try {
+    const { ready, checks } = await healthService.getReadiness();
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "degraded",
+      checks,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error("Error running readiness checks", { err: error });
+    res.status(503).json({
+      status: "degraded",
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  getHealth,
+  getReadiness
+};
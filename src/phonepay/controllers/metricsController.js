@@ -0,0 +1,43 @@
+const crypto = require("crypto");
+const { register } = require("../utils/gatewayMetrics");
+const logger = require("../../common/utils/logger");
+
+/**
+ * Compares the bearer token of a scrape request with METRICS_TOKEN
+ */
+const isAuthorized = (req) => {
+  const expectedToken = process.env.METRICS_TOKEN;
+  if (!expectedToken) {
+    return true;
+  }
+
+  const authorization = req.get("Authorization") || "";
+  const received = Buffer.from(authorization.replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(expectedToken);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Prometheus scrape endpoint
+ *
+ * Open by default; when METRICS_TOKEN is set, scrapers must send it as
+ * 'Authorization: Bearer <token>' (bearer_token in the Prometheus scrape config).
+ */
+const getMetrics = async (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).type("text/plain").send("Unauthorized\n");
+  }
+
+  try {
+    const body = await register.metrics();
+    res.set("Content-Type", register.contentType);
+    return res.send(body);
+  } catch (error) {
+    logger.error("Error rendering metrics", { err: error });
+    return res.status(500).type("text/plain").send("Error rendering metrics\n");
+  }
+};
+
+module.exports = {
+  getMetrics
+};
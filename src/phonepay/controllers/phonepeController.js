@@ -1,36 +1,71 @@
-const axios = require("axios");
 const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs");
-const authService = require("../services/authService");
 const paymentService = require("../services/paymentService");
+const refundService = require("../services/refundService");
+const merchantService = require("../services/merchantService");
+const paymentIntentService = require("../services/paymentIntentService");
+const phonePeClient = require("../services/phonePeClient");
+const reconciliationWorker = require("../workers/reconciliationWorker");
+const InvalidTransitionError = require("../errors/InvalidTransitionError");
+const AmountMismatchError = require("../errors/AmountMismatchError");
+const PaymentIntentError = require("../errors/PaymentIntentError");
+const { mapOrderState, isPastExpiry } = require("../utils/statusMapper");
+const { getRedirectUrl, outcomeForStatus, normalizeDomain } = require("../utils/merchantUrls");
+const { parseAmount, toMajorUnits, formatAmount } = require("../../common/utils/money");
+const gatewayMetrics = require("../utils/gatewayMetrics");
+const rateLimit = require("../middleware/rateLimit");
+const { validate } = require("../utils/validation");
+const { sendError, sendServerError, wantsJson, sendNegotiated, sendNegotiatedError } = require("../utils/apiResponse");
+const { errorPage, redirectPage, checkoutScript, brandStaticPage } = require("../views/templates/pages");
+const { resolveTheme } = require("../utils/branding");
+const schemas = require("../schemas/phonepeSchemas");
 
-// Use only production URL
-const BASE_URL = "https://api.phonepe.com/apis/pg";
+// Expiry (in seconds) of PhonePe orders created by the database-backed checkout flows
+const CHECKOUT_EXPIRE_AFTER = 1800; // 30 minutes
+const phonepeConfig = require("../config/phonepeConfig");
+const logger = require("../../common/utils/logger");
 
 // Log the API URL being used
-console.log(`Using PhonePe production API: ${BASE_URL}`);
+logger.info("PhonePe API configured", { environment: phonepeConfig.environment, baseUrl: phonepeConfig.pgBaseUrl });
+
+/**
+ * Correlation ID of the current request, sent to PhonePe as metaInfo.udf5 so the
+ * redirect and webhook for an order can be tied back to the request that created it
+ */
+const currentCorrelationId = () => logger.getContext().correlationId || "";
+
+/**
+ * Query string suffix ('&domain=...') that keeps a merchant's branding on the hosted
+ * pages (/upp, /multipayment and the payment error page)
+ */
+const brandingQuery = (domain) => domain ? `&domain=${encodeURIComponent(domain)}` : "";
 
 /**
  * Creates an order with PhonePe and handles redirect based on mode
  */
 const createOrder = async (req, res) => {
   try {
-    const authToken = await authService.getAuthToken();
-    const { name, mobileNumber, amount, redirectMode = 'IFRAME', enabledPaymentModes } = req.body;
+    // Validated against schemas.createOrder (redirectMode defaults to IFRAME)
+    const { name, mobileNumber, amount, redirectMode, enabledPaymentModes } = req.body;
+
+    // Amounts arrive in rupees; PhonePe expects integer paisa
+    const amountPaisa = parseAmount(amount);
+
     const merchantOrderId = "TX" + Date.now();
+    logger.addContext({ orderId: merchantOrderId });
 
     // Base payment payload
     const paymentPayload = {
       merchantOrderId,
-      amount: Math.round(amount * 100), // Convert to paisa and ensure it's an integer
+      amount: amountPaisa,
       expireAfter: 1200, // 20 minutes
       metaInfo: {
         udf1: name || "Customer",
         udf2: mobileNumber || "",
-        udf3: redirectMode || "IFRAME",
+        udf3: redirectMode,
         udf4: "",
-        udf5: ""
+        udf5: currentCorrelationId()
       },
       paymentFlow: {
         type: "PG_CHECKOUT",
@@ -63,60 +98,40 @@ const createOrder = async (req, res) => {
       };
     }
 
-    console.log("Creating order with payload:", JSON.stringify(paymentPayload, null, 2));
-
-    const option = {
-      method: "POST",
-      url: `${BASE_URL}/checkout/v2/pay`,
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `O-Bearer ${authToken}`
-      },
-      data: paymentPayload
-    };
+    logger.info("Creating order", { amount: amountPaisa, redirectMode });
 
-    const response = await axios.request(option);
-    
-    // If successful, response should contain redirectUrl
-    if (!response.data || !response.data.redirectUrl) {
-      throw new Error("Invalid response from PhonePe: Missing redirectUrl");
-    }
+    const orderResponse = await phonePeClient.createOrder(paymentPayload);
+    gatewayMetrics.ordersCreated.inc({ flow: "TX" });
 
     if (redirectMode === 'IFRAME') {
       // Read the HTML file content
       const checkoutHtml = fs.readFileSync(path.join(__dirname, '../views/checkout.html'), 'utf8');
       
-      // Insert the script into the HTML
-      const script = `
-        <script>
-          window.redirectUrl = "${response.data.redirectUrl}";
-          window.merchantId = "${process.env.PHONEPE_CLIENT_ID}";
-          window.transactionId = "${merchantOrderId}";
-          window.amount = ${Math.round(amount * 100)};
-          window.failureUrl = "/api/phonepay/payment-failed";
-        </script>
-      `;
+      // Insert the script that hands the order to the checkout iframe (values are escaped for <script>)
+      const script = checkoutScript({
+        redirectUrl: orderResponse.redirectUrl,
+        merchantId: process.env.PHONEPE_CLIENT_ID,
+        transactionId: merchantOrderId,
+        amount: amountPaisa,
+        failureUrl: "/api/phonepay/payment-failed"
+      });
       
-      // Send the combined HTML and script
-      const finalHtml = checkoutHtml.replace('</body>', `${script}</body>`);
+      // Send the combined HTML and script (a replacer function, so '$' in the script is taken literally)
+      const finalHtml = checkoutHtml.replace('</body>', () => `${script}</body>`);
       res.send(finalHtml);
     } else {
       res.json({
         success: true,
-        redirectUrl: response.data.redirectUrl,
-        orderId: response.data.orderId,
+        redirectUrl: orderResponse.redirectUrl,
+        orderId: orderResponse.orderId,
         merchantOrderId,
-        state: response.data.state,
-        expireAt: response.data.expireAt
+        state: orderResponse.state,
+        expireAt: orderResponse.expireAt
       });
     }
   } catch (error) {
-    console.error("Error in create-order:", error?.response?.data || error);
-    res.status(500).send({
-      message: "Error creating order",
-      success: false,
-      details: error?.response?.data || error.message
-    });
+    logger.error("Error in create-order", { err: error });
+    sendServerError(res, "Error creating order", error);
   }
 };
 
@@ -125,17 +140,21 @@ const createOrder = async (req, res) => {
  */
 const createOrderToken = async (req, res) => {
   try {
-    const authToken = await authService.getAuthToken();
     const { name, mobileNumber, amount } = req.body;
+
+    const amountPaisa = parseAmount(amount);
+
     const merchantOrderId = "TX" + Date.now();
+    logger.addContext({ orderId: merchantOrderId });
 
     const paymentPayload = {
       merchantOrderId,
-      amount: Math.round(amount * 100),
+      amount: amountPaisa,
       expireAfter: 1200,
       metaInfo: {
         udf1: name,
-        udf2: mobileNumber
+        udf2: mobileNumber,
+        udf5: currentCorrelationId()
       },
       paymentFlow: {
         type: "PG_CHECKOUT",
@@ -148,24 +167,17 @@ const createOrderToken = async (req, res) => {
       }
     };
 
-    const response = await axios.post(`${BASE_URL}/checkout/v2/pay`, paymentPayload, {
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `O-Bearer ${authToken}`
-      }
-    });
+    const orderResponse = await phonePeClient.createOrder(paymentPayload);
+    gatewayMetrics.ordersCreated.inc({ flow: "TX" });
 
     res.json({
       success: true,
-      tokenUrl: response.data.redirectUrl,
+      tokenUrl: orderResponse.redirectUrl,
       merchantOrderId
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error creating order",
-      details: error?.response?.data || error.message
-    });
+    logger.error("Error in create-order-token", { err: error });
+    sendServerError(res, "Error creating order", error);
   }
 };
 
@@ -174,78 +186,143 @@ const createOrderToken = async (req, res) => {
  */
 const getStatus = async (req, res) => {
   try {
-    const authToken = await authService.getAuthToken();
     const { txnId } = req.query;
 
-    if (!txnId) {
-      return res.status(400).json({
-        success: false,
-        message: "Transaction ID is required"
-      });
-    }
-
-    const response = await axios.get(`${BASE_URL}/checkout/v2/status/${txnId}`, {
-      headers: {
-        "Authorization": `O-Bearer ${authToken}`
-      }
-    });
+    const orderData = await phonePeClient.getOrderStatus(txnId);
 
     // Check payment status
-    const paymentStatus = response.data.state;
+    const paymentStatus = mapOrderState(orderData.state, orderData.errorCode);
     
-    if (paymentStatus === 'COMPLETED') {
+    if (paymentStatus === 'success') {
       return res.redirect('/?status=success&txnId=' + txnId);
-    } else if (paymentStatus === 'FAILED') {
+    } else if (paymentStatus === 'expired') {
+      return res.redirect('/?status=expired&txnId=' + txnId);
+    } else if (paymentStatus === 'failed') {
       return res.redirect('/?status=failed&txnId=' + txnId);
     } else {
       return res.redirect('/?status=pending&txnId=' + txnId);
     }
   } catch (error) {
-    console.error("Error checking payment status:", error?.response?.data || error);
+    logger.error("Error checking payment status", { err: error });
     return res.redirect('/?status=error&message=' + encodeURIComponent(error.message));
   }
 };
 
+/**
+ * Verifies the Authorization header sent by PhonePe on webhook calls.
+ * PhonePe sends SHA256(username:password) of the credentials configured
+ * for the webhook in the PhonePe dashboard.
+ */
+const isValidWebhookAuthorization = (authorizationHeader) => {
+  const username = process.env.PHONEPE_WEBHOOK_USERNAME;
+  const password = process.env.PHONEPE_WEBHOOK_PASSWORD;
+
+  // Refuse all webhooks until credentials are configured
+  if (!username || !password) {
+    logger.error("PhonePe webhook credentials (PHONEPE_WEBHOOK_USERNAME/PHONEPE_WEBHOOK_PASSWORD) are not configured");
+    return false;
+  }
+
+  if (!authorizationHeader) {
+    return false;
+  }
+
+  // Some integrations prefix the hash with "SHA256"; accept both forms
+  const received = Buffer.from(authorizationHeader.trim().replace(/^SHA256\s*/i, '').toLowerCase());
+  const expected = Buffer.from(crypto.createHash('sha256').update(`${username}:${password}`).digest('hex'));
+
+  // Constant-time comparison to avoid leaking the expected hash
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
 /**
  * Webhook handler for PhonePe notifications
+ *
+ * PhonePe v2 webhooks use the envelope { event, payload } where payload
+ * carries merchantOrderId and state for orders, or merchantRefundId and
+ * state for refunds.
  */
 const handleWebhook = async (req, res) => {
   try {
-    const payload = req.body;
-    console.log("Received webhook notification:", JSON.stringify(payload, null, 2));
-    
-    // Verify the signature if PhonePe provides one
-    // This would depend on PhonePe's webhook implementation
-    
-    // Extract the merchant order ID and status from the webhook payload
-    // Note: The actual structure depends on PhonePe's webhook format
-    const orderId = payload.merchantOrderId || payload.data?.merchantOrderId;
-    const paymentStatus = payload.code || payload.data?.state;
-    
-    if (orderId) {
-      // Map PhonePe status to our status format
-      let dbStatus = 'pending';
-      if (paymentStatus === 'PAYMENT_SUCCESS' || paymentStatus === 'COMPLETED') {
-        dbStatus = 'success';
-      } else if (paymentStatus === 'PAYMENT_ERROR' || paymentStatus === 'FAILED') {
-        dbStatus = 'failed';
-      } else if (paymentStatus === 'PAYMENT_CANCELLED' || paymentStatus === 'CANCELLED') {
-        dbStatus = 'cancelled';
-      }
-      
-      // Update payment status in database
-      await paymentService.updatePaymentStatus(orderId, dbStatus, {
-        'paymentDetails.webhookData': payload
+    if (!isValidWebhookAuthorization(req.get('Authorization'))) {
+      logger.warn("Rejected webhook with invalid Authorization header", {
+        ip: req.ip,
+        event: req.body?.event,
+        merchantOrderId: req.body?.payload?.merchantOrderId
       });
-      
-      console.log(`Updated payment status to ${dbStatus} for order ${orderId}`);
+      gatewayMetrics.webhooksReceived.inc({ result: "unauthorized" });
+      return sendError(res, 401, "UNAUTHORIZED", "Unauthorized");
     }
-    
+
+    // Validated here rather than in the route so unauthenticated calls are rejected first
+    const { errors } = validate(schemas.webhook, req);
+    if (errors.length > 0) {
+      logger.warn("Ignoring webhook without event envelope", { errors: errors.map(({ field, code }) => ({ field, code })) });
+      gatewayMetrics.webhooksReceived.inc({ result: "invalid_payload" });
+      return sendError(res, 400, "INVALID_WEBHOOK_PAYLOAD", "Invalid webhook payload", errors);
+    }
+
+    const { event, payload } = req.body;
+
+    let result = "processed";
+    if (event.startsWith('pg.refund.')) {
+      // Refund events: pg.refund.accepted, pg.refund.completed, pg.refund.failed
+      const { merchantRefundId, state } = payload;
+      logger.info("Received refund webhook", { event, merchantRefundId, state });
+      if (merchantRefundId && !(await refundService.getRefundByMerchantRefundId(merchantRefundId))) {
+        // Not a refund started through this service: acknowledge it so PhonePe stops retrying
+        logger.warn("Ignoring webhook for unknown refund", { event, merchantRefundId });
+        result = "ignored";
+      } else if (merchantRefundId) {
+        const refundStatus = mapRefundState(state);
+        const refund = await refundService.updateRefundStatus(merchantRefundId, refundStatus, {
+          phonepeRefundId: payload.refundId || null,
+          phonepeResponse: payload
+        });
+        logger.addContext({ orderId: refund.orderId });
+        logger.info("Updated refund status", { merchantRefundId, status: refundStatus });
+        await markRefundedIfFullyRefunded(refund.orderId);
+      }
+    } else if (event.startsWith('checkout.order.')) {
+      // Order events: checkout.order.completed, checkout.order.failed
+      const { merchantOrderId, state } = payload;
+      // Switch to the correlation ID of the request that created the order
+      logger.addContext({ orderId: merchantOrderId, correlationId: payload.metaInfo?.udf5 });
+      logger.info("Received order webhook", { event, state });
+      if (merchantOrderId) {
+        // Map PhonePe order state to our status format
+        const dbStatus = mapOrderState(state, payload.errorCode);
+
+        // Update payment status in database; a rejected transition means another
+        // path (redirect or reconciliation) already settled the payment
+        try {
+          await paymentService.updatePaymentStatus(merchantOrderId, dbStatus, {
+            'paymentDetails.webhookData': req.body
+          }, { source: 'webhook', payload: req.body, reportedAmount: payload.amount });
+          logger.info("Updated payment status", { status: dbStatus });
+        } catch (transitionError) {
+          if (transitionError instanceof AmountMismatchError) {
+            // Flagged for manual review; still acknowledge the webhook
+            logger.warn("Webhook flagged for amount mismatch", { err: transitionError });
+          } else if (transitionError instanceof InvalidTransitionError) {
+            logger.warn("Webhook status ignored", { status: dbStatus, currentStatus: transitionError.fromStatus });
+          } else {
+            throw transitionError;
+          }
+        }
+      }
+    } else {
+      logger.warn("Ignoring unsupported webhook event", { event });
+      result = "unsupported_event";
+    }
+
     // Always return 200 to PhonePe to acknowledge receipt
+    gatewayMetrics.webhooksReceived.inc({ result });
     res.status(200).json({ status: "RECEIVED" });
   } catch (error) {
-    console.error("Error processing webhook:", error);
-    res.status(500).json({ error: "Internal server error" });
+    logger.error("Error processing webhook", { err: error });
+    gatewayMetrics.webhooksReceived.inc({ result: "error" });
+    sendError(res, 500, "INTERNAL_ERROR", "Internal server error");
   }
 };
 
@@ -254,113 +331,77 @@ const handlePaymentFailed = async (req, res) => {
     const { code, merchantOrderId, transactionId } = req.query;
     
     // Log the failure details
-    console.error("Payment failed:", {
-      code,
-      merchantOrderId,
-      transactionId,
-      timestamp: new Date().toISOString()
-    });
+    logger.addContext({ orderId: merchantOrderId });
+    logger.warn("Payment failed", { code, merchantOrderId, transactionId });
 
     return res.redirect('/?status=failed&code=' + (code || 'unknown'));
   } catch (error) {
-    console.error("Error handling payment failure:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Error handling payment failure",
-      error: error.message
-    });
+    logger.error("Error handling payment failure", { err: error });
+    return sendServerError(res, "Error handling payment failure", error);
   }
 };
 
 const getOrderStatus = async (req, res) => {
   try {
-    const authToken = await authService.getAuthToken();
     const { merchantOrderId } = req.params;
 
-    if (!merchantOrderId) {
-      return res.status(400).json({
-        success: false,
-        message: "Merchant Order ID is required"
-      });
-    }
+    logger.addContext({ orderId: merchantOrderId });
+    logger.info("Checking payment status");
 
-    // Updated URL to match the correct PhonePe API endpoint (same as used in handleUniqueStatus)
-    const statusCheckUrl = `${BASE_URL}/checkout/v2/order/${merchantOrderId}/status`;
-    console.log(`Checking payment status for ${merchantOrderId} at ${statusCheckUrl}`);
-    
-    const response = await axios.get(statusCheckUrl, {
-      headers: {
-        "Authorization": `O-Bearer ${authToken}`,
-        "Content-Type": "application/json"
-      }
-    });
+    const orderData = await phonePeClient.getOrderStatus(merchantOrderId);
+    const paymentRecord = await paymentService.getPaymentByOrderId(merchantOrderId).catch(() => null);
+
+    // Orders still pending after our recorded deadline are reported as expired
+    let status = mapOrderState(orderData.state, orderData.errorCode);
+    if (status === 'pending' && isPastExpiry(paymentRecord)) {
+      status = 'expired';
+    }
 
     return res.json({
       success: true,
-      data: response.data
+      status,
+      expired: status === 'expired',
+      expiresAt: paymentRecord?.expiresAt || (orderData.expireAt ? new Date(orderData.expireAt) : null),
+      data: orderData
     });
   } catch (error) {
-    console.error("Error checking order status:", error?.response?.data || error);
-    return res.status(500).json({
-      success: false,
-      message: "Error checking order status",
-      details: error?.response?.data || error.message
-    });
+    logger.error("Error checking order status", { err: error });
+    return sendServerError(res, "Error checking order status", error);
   }
 };
 
 const createUniqueOrder = async (req, res) => {
   try {
-    console.log("Received request body:", JSON.stringify(req.body));
-    
-    // Extract parameters with defaults to prevent undefined errors
-    const { 
-      name = "Guest", 
-      mobileNumber = "9999999999", 
-      amount = 1.00 
-    } = req.body;
-
-    // Validate amount (must be a number greater than 0)
-    if (!amount || isNaN(amount) || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid amount. Must be a number greater than 0",
-        details: `Received amount: ${amount}`
-      });
-    }
+    // Validated against schemas.createUniqueOrder (name defaults to Guest, mobile is optional,
+    // domain only selects the branding of the status page)
+    const { name, mobileNumber, amount, domain } = req.body;
+    const brandDomain = normalizeDomain(domain);
+
+    const amountPaisa = parseAmount(amount);
 
-    // Get auth token first
-    const authToken = await authService.getAuthToken();
-    
-    if (!authToken) {
-      console.error("Failed to get auth token from PhonePe");
-      return res.status(500).json({
-        success: false, 
-        message: "Authentication failed with payment gateway",
-        details: "Could not obtain authorization token"
-      });
-    }
-    
     // Generate a unique merchant order ID with timestamp and random string
     const randomString = Math.random().toString(36).substring(2, 8);
     const merchantOrderId = `UNIQUE-${Date.now()}-${randomString}`;
+    logger.addContext({ orderId: merchantOrderId });
 
     // Create payment payload
     const paymentPayload = {
       merchantOrderId,
-      amount: Math.round(amount * 100), // Convert to paisa and ensure it's an integer
+      amount: amountPaisa,
       expireAfter: 1800, // 30 minutes
       metaInfo: {
         udf1: name,
-        udf2: mobileNumber,
-        udf3: "UNIQUE_PAYMENT"
+        udf2: mobileNumber || "",
+        udf3: "UNIQUE_PAYMENT",
+        udf4: brandDomain,
+        udf5: currentCorrelationId()
       },
       paymentFlow: {
         type: "PG_CHECKOUT",
         message: `Unique Payment ${merchantOrderId}`,
         merchantUrls: {
           redirectUrl: `${req.protocol}://${req.get('host')}/api/phonepay/unique-status?txnId=${merchantOrderId}`,
-          cancelUrl: `${req.protocol}://${req.get('host')}/upp?status=failed&details=Payment%20was%20cancelled`,
+          cancelUrl: `${req.protocol}://${req.get('host')}/upp?status=failed&details=Payment%20was%20cancelled${brandingQuery(brandDomain)}`,
           notifyUrl: `${req.protocol}://${req.get('host')}/api/phonepay/notify`
         },
         paymentModeConfig: {
@@ -377,83 +418,45 @@ const createUniqueOrder = async (req, res) => {
       }
     };
 
-    console.log("Creating unique order with payload:", JSON.stringify(paymentPayload, null, 2));
-
-    const option = {
-      method: "POST",
-      url: `${BASE_URL}/checkout/v2/pay`,
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `O-Bearer ${authToken}`
-      },
-      data: paymentPayload
-    };
+    logger.info("Creating unique order", { amount: amountPaisa });
 
-    console.log("Sending request to PhonePe:", option.url);
-    const response = await axios.request(option);
-    console.log("PhonePe API response:", JSON.stringify(response.data, null, 2));
+    const orderResponse = await phonePeClient.createOrder(paymentPayload);
+    gatewayMetrics.ordersCreated.inc({ flow: "UNIQUE" });
+    logger.info("Unique order created", { state: orderResponse.state });
 
     res.json({
       success: true,
-      redirectUrl: response.data.redirectUrl,
+      redirectUrl: orderResponse.redirectUrl,
       merchantOrderId
     });
     
   } catch (error) {
-    console.error("Error in create-unique-order:");
-    
-    // Log detailed error information
-    if (error.response) {
-      console.error("PhonePe API error response:");
-      console.error("Status:", error.response.status);
-      console.error("Headers:", JSON.stringify(error.response.headers));
-      console.error("Data:", JSON.stringify(error.response.data));
-    } else if (error.request) {
-      console.error("No response received from PhonePe API:", error.request);
-    } else {
-      console.error("Error message:", error.message);
-    }
-    
-    res.status(500).json({
-      success: false,
-      message: "Error creating unique order",
-      details: error.response?.data || error.message
-    });
+    logger.error("Error in create-unique-order", { err: error });
+    sendServerError(res, "Error creating unique order", error);
   }
 };
 
 const handleUniqueStatus = async (req, res) => {
   try {
-    const authToken = await authService.getAuthToken();
     const { txnId } = req.query; // This is the merchantOrderId
 
-    if (!txnId) {
-      return res.redirect('/upp?status=failed&details=Missing%20transaction%20ID');
-    }
-
-    // URL exactly as specified in the documentation
-    const statusCheckUrl = `${BASE_URL}/checkout/v2/order/${txnId}/status`;
-    
-    console.log(`Checking unique payment status for ${txnId} at ${statusCheckUrl}`);
+    logger.addContext({ orderId: txnId });
+    logger.info("Checking unique payment status");
 
-    const response = await axios.get(statusCheckUrl, { 
-      headers: {
-        "Authorization": `O-Bearer ${authToken}`,
-        "Content-Type": "application/json"
-      }
-    });
-
-    const orderData = response.data;
+    const orderData = await phonePeClient.getOrderStatus(txnId);
     let status, details;
 
-    console.log("Order Status API Response:", JSON.stringify(orderData, null, 2));
+    logger.info("Unique payment order status", { state: orderData.state, errorCode: orderData.errorCode });
 
     // Determine payment status based on the 'state' field in the main response
     if (orderData.state === "COMPLETED") {
       status = "success";
       // Extract details from paymentDetails if available
       const paymentDetail = orderData.paymentDetails && orderData.paymentDetails.length > 0 ? orderData.paymentDetails[0] : null;
-      details = `Transaction ID: ${paymentDetail ? paymentDetail.transactionId : 'N/A'}, Amount: ₹${orderData.amount / 100}`;
+      details = `Transaction ID: ${paymentDetail ? paymentDetail.transactionId : 'N/A'}, Amount: ${formatAmount(orderData.amount)}`;
+    } else if (mapOrderState(orderData.state, orderData.errorCode) === "expired") {
+      status = "expired";
+      details = "This payment request has expired. Please start a new payment.";
     } else if (orderData.state === "PENDING") {
       status = "pending";
       details = "Your payment is being processed";
@@ -465,48 +468,53 @@ const handleUniqueStatus = async (req, res) => {
       }
     }
 
-    // Redirect back to the unique payment page with status
-    return res.redirect(`/upp?status=${status}&details=${encodeURIComponent(details)}`); 
+    // Redirect back to the unique payment page with status, keeping the merchant's branding
+    return res.redirect(`/upp?status=${status}&details=${encodeURIComponent(details)}${brandingQuery(orderData.metaInfo?.udf4)}`); 
     
   } catch (error) {
-    console.error("Error checking unique payment status:");
+    logger.error("Error checking unique payment status", { err: error });
     let errorDetails = "Error processing payment";
-    if (error.response) {
-      console.error("API Response Status:", error.response.status);
-      console.error("API Response Data:", JSON.stringify(error.response.data));
-      errorDetails = error.response.data?.message || errorDetails; 
+    if (error.details) {
+      errorDetails = error.details.message || errorDetails; 
     } else {
-      console.error("Error message:", error.message);
       errorDetails = error.message;
     }
     return res.redirect(`/upp?status=failed&details=${encodeURIComponent(errorDetails)}`); 
   }
 };
 
-const serveUniquePage = (req, res) => {
+/**
+ * Serves the unique payment page, branded for the merchant in ?domain= (default theme otherwise)
+ */
+const serveUniquePage = async (req, res) => {
   try {
-    res.sendFile(path.join(__dirname, '../views/uniquepayment.html'));
+    const theme = await merchantService.getTheme(req.query.domain);
+    const pageHtml = fs.readFileSync(path.join(__dirname, '../views/uniquepayment.html'), 'utf8');
+    res.send(brandStaticPage(pageHtml, theme));
   } catch (error) {
-    console.error("Error serving unique payment page:", error);
+    logger.error("Error serving unique payment page", { err: error });
     res.status(500).send("Error loading payment page");
   }
 };
 
-const serveMultiPaymentPage = (req, res) => {
+/**
+ * Serves the multi payment page, branded for the merchant in ?domain= (default theme otherwise)
+ */
+const serveMultiPaymentPage = async (req, res) => {
   try {
+    const theme = await merchantService.getTheme(req.query.domain);
+
     // Check if a file exists for the multipayment page
-    const multiPaymentPath = path.join(__dirname, '../views/multipayment.html');
+    let pagePath = path.join(__dirname, '../views/multipayment.html');
     
-    // If the file exists, serve it
-    if (fs.existsSync(multiPaymentPath)) {
-      res.sendFile(multiPaymentPath);
-    } else {
+    if (!fs.existsSync(pagePath)) {
       // If the file doesn't exist, serve the uniquepayment.html as a fallback
-      console.warn("multipayment.html not found, serving uniquepayment.html instead");
-      res.sendFile(path.join(__dirname, '../views/uniquepayment.html'));
+      logger.warn("multipayment.html not found, serving uniquepayment.html instead");
+      pagePath = path.join(__dirname, '../views/uniquepayment.html');
     }
+    res.send(brandStaticPage(fs.readFileSync(pagePath, 'utf8'), theme));
   } catch (error) {
-    console.error("Error serving multi payment page:", error);
+    logger.error("Error serving multi payment page", { err: error });
     res.status(500).send("Error loading payment page");
   }
 };
@@ -516,41 +524,35 @@ const serveMultiPaymentPage = (req, res) => {
  */
 const createOrderGet = async (req, res) => {
   try {
-    // Extract parameters from query string
-    const { name = "Guest", mobile = "9999999999", amount = 1 } = req.query;
+    // Validated against schemas.createOrderGet (name defaults to Guest, mobile is optional,
+    // domain only selects the branding of the status page)
+    const { name, mobile, amount, domain } = req.query;
+    const brandDomain = normalizeDomain(domain);
     
-    // Validate amount
-    const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount) || parsedAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid amount. Must be a number greater than 0",
-        details: `Received amount: ${amount}`
-      });
-    }
+    const amountPaisa = parseAmount(amount);
 
-    // Get auth token
-    const authToken = await authService.getAuthToken();
-    
     // Generate a unique merchant order ID
     const merchantOrderId = `MULTI-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
+    logger.addContext({ orderId: merchantOrderId });
 
     // Create payment payload
     const paymentPayload = {
       merchantOrderId,
-      amount: Math.round(parsedAmount * 100), // Convert to paisa
+      amount: amountPaisa,
       expireAfter: 1800, // 30 minutes
       metaInfo: {
         udf1: name,
-        udf2: mobile,
-        udf3: "MULTI_PAYMENT"
+        udf2: mobile || "",
+        udf3: "MULTI_PAYMENT",
+        udf4: brandDomain,
+        udf5: currentCorrelationId()
       },
       paymentFlow: {
         type: "PG_CHECKOUT",
         message: `Multi Payment ${merchantOrderId}`,
         merchantUrls: {
           redirectUrl: `${req.protocol}://${req.get('host')}/api/phonepay/multi-status?txnId=${merchantOrderId}`,
-          cancelUrl: `${req.protocol}://${req.get('host')}/multipayment?status=failed&details=Payment%20was%20cancelled`,
+          cancelUrl: `${req.protocol}://${req.get('host')}/multipayment?status=failed&details=Payment%20was%20cancelled${brandingQuery(brandDomain)}`,
           notifyUrl: `${req.protocol}://${req.get('host')}/api/phonepay/notify`
         },
         paymentModeConfig: {
@@ -567,39 +569,24 @@ const createOrderGet = async (req, res) => {
       },
       userInfo: {
         name: name,
-        mobileNumber: mobile
+        mobileNumber: mobile || ""
       }
     };
 
-    console.log("Creating multi-payment order with payload:", JSON.stringify(paymentPayload, null, 2));
+    logger.info("Creating multi-payment order", { amount: amountPaisa });
 
     // Send request to PhonePe
-    const response = await axios({
-      method: "POST",
-      url: `${BASE_URL}/checkout/v2/pay`,
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `O-Bearer ${authToken}`
-      },
-      data: paymentPayload
-    });
+    const orderResponse = await phonePeClient.createOrder(paymentPayload);
+    gatewayMetrics.ordersCreated.inc({ flow: "MULTI" });
 
     // Redirect to the PhonePe payment URL
-    return res.redirect(response.data.redirectUrl);
+    return res.redirect(orderResponse.redirectUrl);
     
   } catch (error) {
-    console.error("Error in GET create-order:");
-    
-    // Log error details
-    if (error.response) {
-      console.error("PhonePe API error response:", error.response.status);
-      console.error("Error data:", JSON.stringify(error.response.data));
-    } else {
-      console.error("Error message:", error.message);
-    }
+    logger.error("Error in GET create-order", { err: error });
     
     // Redirect to error page or show error message
-    return res.redirect(`/multipayment?status=failed&details=${encodeURIComponent(error.message || "Failed to create payment")}`);
+    return res.redirect(`/multipayment?status=failed&details=${encodeURIComponent(error.message || "Failed to create payment")}${brandingQuery(normalizeDomain(req.query.domain))}`);
   }
 };
 
@@ -608,24 +595,12 @@ const createOrderGet = async (req, res) => {
  */
 const handleMultiStatus = async (req, res) => {
   try {
-    const authToken = await authService.getAuthToken();
     const { txnId } = req.query;
 
-    if (!txnId) {
-      return res.redirect('/multipayment?status=failed&details=Missing%20transaction%20ID');
-    }
-
-    const statusCheckUrl = `${BASE_URL}/checkout/v2/order/${txnId}/status`;
-    console.log(`Checking multi payment status for ${txnId}`);
+    logger.addContext({ orderId: txnId });
+    logger.info("Checking multi payment status");
 
-    const response = await axios.get(statusCheckUrl, { 
-      headers: {
-        "Authorization": `O-Bearer ${authToken}`,
-        "Content-Type": "application/json"
-      }
-    });
-
-    const orderData = response.data;
+    const orderData = await phonePeClient.getOrderStatus(txnId);
     let status, details;
 
     // Determine payment status
@@ -633,7 +608,10 @@ const handleMultiStatus = async (req, res) => {
       status = "success";
       const paymentDetail = orderData.paymentDetails && orderData.paymentDetails.length > 0 ? 
         orderData.paymentDetails[0] : null;
-      details = `Transaction ID: ${paymentDetail ? paymentDetail.transactionId : 'N/A'}, Amount: ₹${orderData.amount / 100}`;
+      details = `Transaction ID: ${paymentDetail ? paymentDetail.transactionId : 'N/A'}, Amount: ${formatAmount(orderData.amount)}`;
+    } else if (mapOrderState(orderData.state, orderData.errorCode) === "expired") {
+      status = "expired";
+      details = "This payment request has expired. Please start a new payment.";
     } else if (orderData.state === "PENDING") {
       status = "pending";
       details = "Your payment is being processed";
@@ -645,16 +623,15 @@ const handleMultiStatus = async (req, res) => {
       }
     }
 
-    // Redirect back to the multipayment page with status
-    return res.redirect(`/multipayment?status=${status}&details=${encodeURIComponent(details)}`);
+    // Redirect back to the multipayment page with status, keeping the merchant's branding
+    return res.redirect(`/multipayment?status=${status}&details=${encodeURIComponent(details)}${brandingQuery(orderData.metaInfo?.udf4)}`);
     
   } catch (error) {
-    console.error("Error checking multi payment status:", error.message);
+    logger.error("Error checking multi payment status", { err: error });
     let errorDetails = "Error processing payment";
     
-    if (error.response) {
-      console.error("API Response Data:", JSON.stringify(error.response.data));
-      errorDetails = error.response.data?.message || errorDetails;
+    if (error.details) {
+      errorDetails = error.details.message || errorDetails;
     }
     
     return res.redirect(`/multipayment?status=failed&details=${encodeURIComponent(errorDetails)}`);
@@ -666,70 +643,72 @@ const handleMultiStatus = async (req, res) => {
  */
 const processCheckoutPayment = async (req, res) => {
   try {
-    console.log("Received checkout payment request:", JSON.stringify(req.body));
-    
-    // Extract parameters from request body
-    const { domain, amount, name, mobile, ...otherDetails } = req.body;
-    
-    // Validate required parameters
-    if (!domain) {
-      return res.status(400).json({
-        success: false,
-        message: "Domain name is required"
-      });
+    // Extract parameters from request body (signed intent fields are not stored with the payment)
+    const { domain, amount, name, mobile, timestamp, nonce, signature, ...otherDetails } = req.body;
+    
+    // Only configured merchants can take payments; their entry decides where shoppers return to
+    const merchant = await merchantService.getActiveMerchant(domain);
+    if (!merchant) {
+      logger.warn("Checkout payment refused for unknown domain", { domain });
+      return sendError(res, 403, "UNKNOWN_DOMAIN", "Unknown or inactive domain");
     }
     
-    // Validate amount
-    const paymentAmount = parseFloat(amount);
-    if (isNaN(paymentAmount) || paymentAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Valid payment amount is required"
-      });
+    // Verify the signed payment intent (required when the merchant enforces signatures)
+    try {
+      await paymentIntentService.verifyPaymentIntent(merchant, req.body);
+    } catch (intentError) {
+      if (!(intentError instanceof PaymentIntentError)) {
+        throw intentError;
+      }
+      logger.warn("Checkout payment refused", { domain: merchant.domain, code: intentError.code });
+      return sendError(res, intentError.httpStatus, intentError.code, intentError.message);
     }
     
+    // Rupees with at most 2 decimals (checked by schemas.checkoutPayment), converted to paisa
+    const amountPaisa = parseAmount(amount);
+    
     // Generate a unique order ID
     const uniqueId = crypto.randomBytes(4).toString('hex');
     const orderId = `CHECKOUT-${Date.now()}-${uniqueId}`;
+    logger.addContext({ orderId });
     
     // Try to store payment in database, but proceed even if it fails
     try {
       await paymentService.createPayment({
         orderId,
-        domainName: domain,
-        amount: paymentAmount,
+        domainName: merchant.domain,
+        amount: amountPaisa,
+        expireAfter: CHECKOUT_EXPIRE_AFTER,
         paymentDetails: { 
           name, 
           mobile, 
           ...otherDetails,
           queryParams: {
             domain,
-            amount: paymentAmount,
+            amount,
             merchantOrderId: orderId
           }
         }
       });
     } catch (dbError) {
       // Log the error but continue with payment processing
-      console.error("Database error (non-critical, continuing with payment):", dbError);
+      logger.error("Database error (non-critical, continuing with payment)", { err: dbError });
     }
     
-    // Get auth token for PhonePe API
-    const authToken = await authService.getAuthToken();
-    
     // Create payment payload for PhonePe
     const paymentPayload = {
       merchantOrderId: orderId,
-      amount: Math.round(paymentAmount * 100), // Convert to paisa
-      expireAfter: 1800, // 30 minutes
+      amount: amountPaisa,
+      expireAfter: CHECKOUT_EXPIRE_AFTER,
       metaInfo: {
-        udf1: domain,
+        udf1: merchant.domain,
         udf2: name || "Customer",
-        udf3: "CHECKOUT_PAYMENT"
+        udf3: "CHECKOUT_PAYMENT",
+        udf5: currentCorrelationId()
       },
       paymentFlow: {
         type: "PG_CHECKOUT",
-        message: `Payment for ${domain}`,
+        message: `Payment for ${merchant.displayName || merchant.domain}`,
         merchantUrls: {
           redirectUrl: `${req.protocol}://${req.get('host')}/api/phonepay/payment-status?txnId=${orderId}`,
           cancelUrl: `${req.protocol}://${req.get('host')}/api/phonepay/payment-cancelled?txnId=${orderId}`,
@@ -754,91 +733,59 @@ const processCheckoutPayment = async (req, res) => {
       }
     };
     
-    console.log("Sending checkout payment request to PhonePe:", JSON.stringify(paymentPayload, null, 2));
+    logger.info("Sending checkout payment request to PhonePe", { domain: merchant.domain, amount: amountPaisa });
     
     // Send request to PhonePe
-    const response = await axios({
-      method: "POST",
-      url: `${BASE_URL}/checkout/v2/pay`,
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `O-Bearer ${authToken}`
-      },
-      data: paymentPayload
-    });
+    const orderResponse = await phonePeClient.createOrder(paymentPayload);
+    gatewayMetrics.ordersCreated.inc({ flow: "CHECKOUT" });
     
-    console.log("PhonePe API response:", JSON.stringify(response.data, null, 2));
+    logger.info("Checkout order created", { state: orderResponse.state });
     
     // Return redirect URL to frontend
     return res.json({
       success: true,
-      redirectUrl: response.data.redirectUrl,
+      redirectUrl: orderResponse.redirectUrl,
       orderId: orderId
     });
   } catch (error) {
-    console.error("Error processing checkout payment:", error);
-    if (error.response) {
-      console.error("API response status:", error.response.status);
-      console.error("API response data:", JSON.stringify(error.response.data, null, 2));
-    }
+    logger.error("Error processing checkout payment", { err: error });
     
     // Send error response
-    return res.status(500).json({
-      success: false,
-      message: "Failed to process checkout payment",
-      error: error.message
-    });
+    return sendServerError(res, "Failed to process checkout payment", error);
   }
 };
 
 const handlePaymentStatus = async (req, res) => {
   try {
-    const { txnId, clientDomain } = req.query; // Get both txnId and clientDomain
-    
-    console.log(`Payment status callback received for txnId: ${txnId}`);
-    console.log(`Full query parameters:`, JSON.stringify(req.query));
-    
-    if (!txnId) {
-      console.error("Missing transaction ID in payment status callback");
-      return res.status(400).json({
-        success: false,
-        message: "Transaction ID is required"
-      });
-    }
+    const { txnId } = req.query;
     
-    // Get auth token
-    const authToken = await authService.getAuthToken();
+    logger.addContext({ orderId: txnId });
+    logger.info("Payment status callback received");
     
     // Check payment status with PhonePe
-    const statusCheckUrl = `${BASE_URL}/checkout/v2/order/${txnId}/status`;
-    console.log(`Checking payment status at: ${statusCheckUrl}`);
-    
-    const response = await axios.get(statusCheckUrl, { 
-      headers: {
-        "Authorization": `O-Bearer ${authToken}`,
-        "Content-Type": "application/json"
-      }
-    });
-    
-    const orderData = response.data;
-    console.log(`Payment status data for ${txnId}:`, JSON.stringify(orderData, null, 2));
+    const orderData = await phonePeClient.getOrderStatus(txnId);
     
     // Get payment record from database
-    console.log(`Looking up payment record for orderId: ${txnId}`);
     let paymentRecord = await paymentService.getPaymentByOrderId(txnId);
+
+    // Switch to the correlation ID of the request that created the order
+    logger.addContext({ correlationId: paymentRecord?.correlationId || orderData.metaInfo?.udf5 });
+    logger.info("Payment status from PhonePe", { state: orderData.state, errorCode: orderData.errorCode });
     
     // If payment record doesn't exist, try to create one from PhonePe data
     if (!paymentRecord) {
-      console.warn(`Payment record not found for txnId: ${txnId}, attempting to create one`);
+      logger.warn("Payment record not found, attempting to create one");
       
-      // Extract domain from clientDomain parameter or meta info
-      const domain = clientDomain || orderData.metaInfo?.udf1 || "unknown-domain.com";
+      // Extract domain from the meta info we sent when creating the order
+      const domain = orderData.metaInfo?.udf1 || "unknown-domain.com";
       
       try {
         paymentRecord = await paymentService.createPayment({
           orderId: txnId,
           domainName: domain,
-          amount: orderData.amount / 100, // Convert from paisa to rupees
+          amount: orderData.amount, // PhonePe amounts are already in paisa
+          expiresAt: orderData.expireAt,
+          correlationId: orderData.metaInfo?.udf5,
           paymentDetails: { 
             phonepeResponse: orderData,
             createdFromCallback: true,
@@ -846,7 +793,7 @@ const handlePaymentStatus = async (req, res) => {
             // Store the three required parameters explicitly
             queryParams: {
               domain: domain,
-              amount: orderData.amount / 100,
+              amount: toMajorUnits(orderData.amount),
               merchantOrderId: txnId
             }
           },
@@ -854,25 +801,25 @@ const handlePaymentStatus = async (req, res) => {
                   orderData.state === "FAILED" ? 'failed' : 'pending'
         });
         
-        console.log(`Created new payment record for ${txnId} with status: ${paymentRecord.status}`);
+        logger.info("Created new payment record", { status: paymentRecord.status });
       } catch (createError) {
-        console.error(`Failed to create payment record for ${txnId}:`, createError);
+        logger.error("Failed to create payment record", { err: createError });
       }
     }
     
     // If we still don't have a payment record, redirect to a generic error page
     if (!paymentRecord) {
-      console.error(`Payment record still not available for ${txnId}, redirecting to error page`);
-      return res.redirect(`/payment-error?txnId=${txnId}&reason=record_not_found`);
+      logger.error("Payment record still not available, redirecting to error page");
+      return res.redirect(`/api/phonepay/payment-error?txnId=${encodeURIComponent(txnId)}&reason=record_not_found${brandingQuery(orderData.metaInfo?.udf1)}`);
     }
     
-    // Extract the domain name for redirection - use clientDomain parameter if available
-    const domainName = clientDomain || paymentRecord.domainName;
-    console.log(`Domain for redirection: ${domainName}`);
+    // Redirect targets come from the merchant entry of the domain stored with the payment,
+    // never from the query string
+    const merchant = await merchantService.getActiveMerchant(paymentRecord.domainName);
+    logger.info("Domain for redirection", { domain: paymentRecord.domainName, configured: Boolean(merchant) });
     
-    // Update status in the database no matter what
-    const newStatus = orderData.state === "COMPLETED" ? 'success' : 
-                      orderData.state === "FAILED" ? 'failed' : 'cancelled';
+    // Map PhonePe's state; a PENDING order stays pending until the webhook or reconciliation settles it
+    const newStatus = mapOrderState(orderData.state, orderData.errorCode);
     
     // Store payment details including transaction details from PhonePe
     const paymentDetailsToUpdate = {
@@ -889,53 +836,54 @@ const handlePaymentStatus = async (req, res) => {
       paymentDetailsToUpdate['paymentDetails.paymentMode'] = paymentDetail.paymentMode || '';
     }
     
-    console.log(`Updating payment status to '${newStatus}' for ${txnId}`);
-    await paymentService.updatePaymentStatus(txnId, newStatus, paymentDetailsToUpdate);
-    
-    // Based on domain, decide how to handle the redirect
-    if (domainName.includes('.')) {
-      // This appears to be an external domain, add protocol and proper path
-      let baseUrl = domainName;
-      if (!baseUrl.startsWith('http')) {
-        baseUrl = `https://${baseUrl}`;
-      }
-      
-      let redirectUrl = '';
-      if (orderData.state === "COMPLETED") {
-        // Success - send to thankyou page
-        redirectUrl = `${baseUrl}/thankyou`;
+    logger.info("Updating payment status", { status: newStatus });
+    let finalStatus;
+    try {
+      const updatedPayment = await paymentService.updatePaymentStatus(txnId, newStatus, paymentDetailsToUpdate, {
+        source: 'redirect',
+        payload: orderData,
+        reportedAmount: orderData.amount
+      });
+      finalStatus = updatedPayment.status;
+    } catch (transitionError) {
+      if (transitionError instanceof AmountMismatchError) {
+        // Held for manual review: treat the payment as not (yet) successful
+        const flaggedPayment = await paymentService.getPaymentByOrderId(txnId);
+        finalStatus = flaggedPayment ? flaggedPayment.status : 'pending';
+      } else if (transitionError instanceof InvalidTransitionError) {
+        // The webhook or reconciliation already settled this payment; redirect based on that
+        finalStatus = transitionError.fromStatus;
       } else {
-        // Failed or other - send to cart page
-        redirectUrl = `${baseUrl}/cart`;
+        throw transitionError;
       }
-      
-      console.log(`Redirecting to external domain: ${redirectUrl}`);
+    }
+    
+    // Based on the merchant entry, decide how to handle the redirect
+    if (merchant) {
+      // Success goes to the merchant's success URL, anything else to its failure URL
+      const redirectUrl = getRedirectUrl(merchant, outcomeForStatus(finalStatus));
+      logger.info("Redirecting to merchant URL", { status: finalStatus });
       return res.redirect(redirectUrl);
     } else {
-      // This is likely a path on our own server
+      // Unknown domain: show the result on our own server instead of redirecting off-site
       let redirectPath = '';
-      if (orderData.state === "COMPLETED") {
+      if (finalStatus === 'success') {
         redirectPath = `/?status=success&txnId=${txnId}`;
+      } else if (finalStatus === 'pending') {
+        redirectPath = `/?status=pending&txnId=${txnId}`;
       } else {
         redirectPath = `/?status=failed&txnId=${txnId}`;
       }
       
-      console.log(`Redirecting to internal path: ${redirectPath}`);
+      logger.info("Redirecting to internal path", { status: finalStatus });
       return res.redirect(redirectPath);
     }
     
   } catch (error) {
-    console.error("Error handling payment status:", error);
-    
-    if (error.response) {
-      console.error("PhonePe API response error:", JSON.stringify({
-        status: error.response.status,
-        data: error.response.data
-      }));
-    }
+    logger.error("Error handling payment status", { err: error });
     
     // Fallback to a generic error page with details
-    return res.redirect(`/payment-error?reason=${encodeURIComponent(error.message)}`);
+    return res.redirect(`/api/phonepay/payment-error?reason=${encodeURIComponent(error.message)}`);
   }
 };
 
@@ -946,35 +894,19 @@ const handlePaymentCancelled = async (req, res) => {
   try {
     const { txnId } = req.query;
     
-    console.log(`Payment cancelled for transaction: ${txnId}`);
-    console.log(`Full query parameters:`, JSON.stringify(req.query));
-    
-    if (!txnId) {
-      console.error("Missing transaction ID in payment cancelled callback");
-      return res.redirect('/payment-error?reason=missing_transaction_id');
-    }
+    logger.addContext({ orderId: txnId });
+    logger.info("Payment cancelled");
     
     // Get payment record
     let paymentRecord = await paymentService.getPaymentByOrderId(txnId);
     
     // If payment record doesn't exist, try to fetch details from PhonePe
     if (!paymentRecord) {
-      console.warn(`No payment record found for cancelled payment: ${txnId}`);
+      logger.warn("No payment record found for cancelled payment, checking PhonePe");
       
       try {
-        // Get auth token and check payment status with PhonePe
-        const authToken = await authService.getAuthToken();
-        const statusCheckUrl = `${BASE_URL}/checkout/v2/order/${txnId}/status`;
-        
-        console.log(`Checking PhonePe for cancelled payment details at ${statusCheckUrl}`);
-        const response = await axios.get(statusCheckUrl, { 
-          headers: {
-            "Authorization": `O-Bearer ${authToken}`,
-            "Content-Type": "application/json"
-          }
-        });
-        
-        const orderData = response.data;
+        // Check payment status with PhonePe
+        const orderData = await phonePeClient.getOrderStatus(txnId);
         
         // Extract domain from meta info if available
         const domain = orderData.metaInfo?.udf1 || "unknown-domain.com";
@@ -983,7 +915,9 @@ const handlePaymentCancelled = async (req, res) => {
         paymentRecord = await paymentService.createPayment({
           orderId: txnId,
           domainName: domain,
-          amount: orderData.amount / 100, // Convert from paisa to rupees
+          amount: orderData.amount, // PhonePe amounts are already in paisa
+          expiresAt: orderData.expireAt,
+          correlationId: orderData.metaInfo?.udf5,
           paymentDetails: { 
             phonepeResponse: orderData,
             createdFromCancellation: true,
@@ -992,120 +926,67 @@ const handlePaymentCancelled = async (req, res) => {
           status: 'cancelled'
         });
         
-        console.log(`Created payment record for cancelled payment: ${txnId}`);
+        logger.info("Created payment record for cancelled payment");
       } catch (error) {
-        console.error(`Failed to create payment record for cancelled payment ${txnId}:`, error);
+        logger.error("Failed to create payment record for cancelled payment", { err: error });
       }
     }
     
     // If we have a payment record now, update it and redirect properly
     if (paymentRecord) {
-      // Update payment status to cancelled if it's not already
-      if (paymentRecord.status !== 'cancelled') {
-        await paymentService.updatePaymentStatus(txnId, 'cancelled');
-        console.log(`Updated payment status to cancelled for ${txnId}`);
+      logger.addContext({ correlationId: paymentRecord.correlationId });
+      // Update payment status to cancelled if it's still pending; never overwrite a settled payment
+      let finalStatus = paymentRecord.status;
+      if (paymentRecord.status === 'pending') {
+        try {
+          const updatedPayment = await paymentService.updatePaymentStatus(txnId, 'cancelled', {}, {
+            source: 'cancel',
+            payload: req.query
+          });
+          finalStatus = updatedPayment.status;
+          logger.info("Updated payment status to cancelled");
+        } catch (transitionError) {
+          if (!(transitionError instanceof InvalidTransitionError)) {
+            throw transitionError;
+          }
+          finalStatus = transitionError.fromStatus;
+        }
       }
       
-      // Redirect to cart page on client's domain
-      const redirectUrl = `https://${paymentRecord.domainName}/cart`;
-      console.log(`Redirecting to: ${redirectUrl}`);
+      // Redirect to the merchant's cancel URL, or its success URL if the payment went through
+      const merchant = await merchantService.getActiveMerchant(paymentRecord.domainName);
+      if (!merchant) {
+        logger.warn("No merchant configured, showing result locally", { domain: paymentRecord.domainName });
+        return res.redirect(`/?status=${finalStatus === 'success' ? 'success' : 'failed'}&txnId=${txnId}`);
+      }
+      const redirectUrl = getRedirectUrl(merchant, outcomeForStatus(finalStatus));
+      logger.info("Redirecting to merchant", { status: finalStatus });
       return res.redirect(redirectUrl);
     }
     
     // Fallback if we still don't have payment details
-    console.error(`Cannot process cancelled payment ${txnId} - No payment record available`);
-    return res.redirect('/payment-error?reason=cancelled_payment_not_found');
+    logger.error("Cannot process cancelled payment - no payment record available");
+    return res.redirect("/api/phonepay/payment-error?reason=cancelled_payment_not_found");
     
   } catch (error) {
-    console.error("Error handling payment cancellation:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Error handling payment cancellation",
-      details: error.message
-    });
+    logger.error("Error handling payment cancellation", { err: error });
+    return sendServerError(res, "Error handling payment cancellation", error);
   }
 };
 
-const showPaymentError = (req, res) => {
-  const { reason, txnId } = req.query;
-  
-  const errorHtml = `
-  <!DOCTYPE html>
-  <html lang="en">
-  <head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Payment Error</title>
-    <style>
-      body {
-        font-family: Arial, sans-serif;
-        display: flex;
-        justify-content: center;
-        align-items: center;
-        flex-direction: column;
-        height: 100vh;
-        margin: 0;
-        background-color: #f7f7f7;
-      }
-      .error-container {
-        background-color: white;
-        padding: 30px;
-        border-radius: 8px;
-        box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        text-align: center;
-        max-width: 500px;
-        width: 90%;
-      }
-      .error-icon {
-        color: #ff4d4d;
-        font-size: 60px;
-        margin-bottom: 20px;
-      }
-      h1 {
-        color: #333;
-        margin-bottom: 20px;
-      }
-      .error-details {
-        color: #666;
-        margin-bottom: 30px;
-      }
-      .transaction-id {
-        font-size: 0.9em;
-        color: #888;
-        margin-bottom: 30px;
-        word-break: break-all;
-      }
-      .home-button {
-        background-color: #4d79ff;
-        color: white;
-        border: none;
-        padding: 12px 24px;
-        font-size: 16px;
-        border-radius: 4px;
-        cursor: pointer;
-        transition: background-color 0.3s;
-        text-decoration: none;
-      }
-      .home-button:hover {
-        background-color: #3a66ff;
-      }
-    </style>
-  </head>
-  <body>
-    <div class="error-container">
-      <div class="error-icon">&#9888;</div>
-      <h1>Payment Error</h1>
-      <div class="error-details">
-        ${reason ? `Error: ${reason}` : 'An error occurred during payment processing.'}
-      </div>
-      ${txnId ? `<div class="transaction-id">Transaction ID: ${txnId}</div>` : ''}
-      <a href="/" class="home-button">Return to Home</a>
-    </div>
-  </body>
-  </html>
-  `;
-  
-  res.send(errorHtml);
+/**
+ * Shows the payment error page, branded for the merchant in ?domain= (default theme otherwise)
+ */
+const showPaymentError = async (req, res) => {
+  const { reason, txnId, domain } = req.query;
+  const theme = await merchantService.getTheme(domain);
+
+  res.send(errorPage({
+    title: "Payment Error",
+    message: reason ? `Error: ${reason}` : null,
+    txnId,
+    theme
+  }));
 };
 
 /**
@@ -1114,79 +995,67 @@ const showPaymentError = (req, res) => {
  * and API access (returns JSON with payment URL)
  */
 const processPaymentRequest = async (req, res) => {
+  // Known once the domain is checked; error pages after that carry the merchant's branding
+  let merchant = null;
   try {
-    // Check if request is coming from a browser or API
-    // If Accept header contains 'application/json', return JSON response
-    // Otherwise, return HTML with auto-redirect
-    const wantsJson = req.get('Accept') && 
-                     req.get('Accept').includes('application/json');
-    
-    // Query parameter can override header-based detection
-    const responseType = req.query.responseType || (wantsJson ? 'json' : 'html');
+    // Browsers get HTML with an auto-redirect, API clients (Accept: application/json
+    // or responseType=json) get JSON with the payment URL
+    const responseType = wantsJson(req) ? 'json' : 'html';
     
-    // Extract parameters from query string - these are the three main parameters we need to store
+    // Extract parameters from query string (validated against schemas.processPayment) -
+    // these are the three main parameters we need to store
     const { domain, amount, merchantOrderId, name, mobile } = req.query;
     
-    // Log incoming parameters for debugging
-    console.log("processPaymentRequest received params:", { 
-      domain, 
-      amount, 
-      merchantOrderId, // Explicitly log merchantOrderId
-      name, 
-      mobile,
-      responseType
-    });
+    logger.addContext({ orderId: merchantOrderId });
+    logger.info("Payment request received", { domain, amount, merchantOrderId, responseType });
     
-    // Validate required parameters
-    if (!domain) {
-      if (responseType === 'json') {
-        return res.status(400).json({
-          success: false,
-          message: "Domain name is required"
-        });
-      } else {
-        return res.status(400).send(`
-          <html><body>
-            <h1>Error: Missing domain</h1>
-            <p>Please provide a valid domain name.</p>
-            <a href="/">Return to home</a>
-          </body></html>
-        `);
-      }
+    // Only configured merchants can take payments; their entry decides where shoppers return to
+    merchant = await merchantService.getActiveMerchant(domain);
+    if (!merchant) {
+      logger.warn("Payment request refused for unknown domain", { domain });
+      return sendNegotiatedError(req, res, 403, "UNKNOWN_DOMAIN", "Unknown or inactive domain", {
+        title: "Unknown domain"
+      });
     }
     
-    // Validate amount
-    const paymentAmount = parseFloat(amount);
-    if (isNaN(paymentAmount) || paymentAmount <= 0) {
-      if (responseType === 'json') {
-        return res.status(400).json({
-          success: false,
-          message: "Valid payment amount is required"
-        });
-      } else {
-        return res.status(400).send(`
-          <html><body>
-            <h1>Error: Invalid amount</h1>
-            <p>Please provide a valid payment amount.</p>
-            <a href="/">Return to home</a>
-          </body></html>
-        `);
+    // Verify the signed payment intent (required when the merchant enforces signatures)
+    try {
+      const intent = await paymentIntentService.verifyPaymentIntent(merchant, req.query);
+      logger.info("Payment intent verified", { domain: merchant.domain, signed: intent.signed });
+    } catch (intentError) {
+      if (!(intentError instanceof PaymentIntentError)) {
+        throw intentError;
       }
+      logger.warn("Payment request refused", { domain: merchant.domain, code: intentError.code });
+      return sendNegotiatedError(req, res, intentError.httpStatus, intentError.code, intentError.message, {
+        title: "Payment request rejected",
+        theme: resolveTheme(merchant)
+      });
+    }
+    
+    // Counted only now that the request is known to come for this merchant
+    if (await rateLimit.limitMerchantDomain("process-payment", merchant.domain, req, res)) {
+      return;
     }
     
+    // Rupees with at most 2 decimals, converted to paisa
+    const amountPaisa = parseAmount(amount);
+    
     // Generate a unique order ID or use the provided merchantOrderId
     // Create unique crypto for additional randomness if merchantOrderId isn't provided
     const uniqueId = crypto.randomBytes(4).toString('hex');
     const orderId = merchantOrderId || `URL-${Date.now()}-${uniqueId}`;
     
-    console.log(`Creating payment with orderId: ${orderId} for domain: ${domain}, amount: ${paymentAmount}`);
+    logger.addContext({ orderId });
+    logger.info("Creating payment", { domain: merchant.domain, amount: amountPaisa });
     
     // IMPORTANT: Store all three required parameters in the database
     try {
       const savedPayment = await paymentService.createPayment({
         orderId,                    // This will be merchantOrderId if provided
-        domainName: domain,         // Store domain parameter
-        amount: paymentAmount,      // Store amount parameter
+        domainName: merchant.domain, // Store the merchant's normalized domain
+        amount: amountPaisa,        // Store amount in paisa
+        expireAfter: CHECKOUT_EXPIRE_AFTER,
         paymentDetails: { 
           name: name || "Customer", 
           mobile: mobile || "",
@@ -1200,47 +1069,37 @@ const processPaymentRequest = async (req, res) => {
           }
         }
       });
-      console.log(`Successfully created payment record in database with ID: ${savedPayment._id}`);
+      logger.info("Created payment record", { paymentId: savedPayment._id });
     } catch (dbError) {
-      // Log the error but continue with payment processing
-      console.error("Database error while creating payment:", dbError);
-    }
-    
-    // Get auth token for PhonePe API
-    const authToken = await authService.getAuthToken();
-    if (!authToken) {
-      console.error("Failed to get auth token from PhonePe");
-      if (responseType === 'json') {
-        return res.status(500).json({
-          success: false, 
-          message: "Authentication failed with payment gateway"
-        });
-      } else {
-        return res.status(500).send(`
-          <html><body>
-            <h1>Error: Authentication failed</h1>
-            <p>We couldn't authenticate with the payment gateway. Please try again later.</p>
-            <a href="/">Return to home</a>
-          </body></html>
-        `);
+      // A reused merchantOrderId belongs to an earlier payment; never start a second PhonePe order for it
+      if (dbError.code === 11000) {
+        logger.warn("Payment request refused: merchantOrderId already exists");
+        return sendNegotiatedError(req, res, 409, "DUPLICATE_ORDER_ID",
+          "This merchantOrderId has already been used for another payment", {
+            title: "Duplicate order",
+            theme: resolveTheme(merchant)
+          });
       }
+      // Log any other error but continue with payment processing
+      logger.error("Database error while creating payment", { err: dbError });
     }
     
     // Create payment payload for PhonePe
     const paymentPayload = {
       merchantOrderId: orderId,
-      amount: Math.round(paymentAmount * 100), // Convert to paisa
-      expireAfter: 1800, // 30 minutes
+      amount: amountPaisa,
+      expireAfter: CHECKOUT_EXPIRE_AFTER,
       metaInfo: {
-        udf1: domain,
+        udf1: merchant.domain,
         udf2: name || "Customer",
-        udf3: "URL_PAYMENT"
+        udf3: "URL_PAYMENT",
+        udf5: currentCorrelationId()
       },
       paymentFlow: {
         type: "PG_CHECKOUT",
-        message: `Payment for ${domain}`,
+        message: `Payment for ${merchant.displayName || merchant.domain}`,
         merchantUrls: {
-          redirectUrl: `${req.protocol}://${req.get('host')}/api/phonepay/payment-status?txnId=${orderId}&clientDomain=${encodeURIComponent(domain)}`,
+          redirectUrl: `${req.protocol}://${req.get('host')}/api/phonepay/payment-status?txnId=${orderId}`,
           cancelUrl: `${req.protocol}://${req.get('host')}/api/phonepay/payment-cancelled?txnId=${orderId}`,
           notifyUrl: `${req.protocol}://${req.get('host')}/api/phonepay/notify`
         },
@@ -1263,154 +1122,234 @@ const processPaymentRequest = async (req, res) => {
       }
     };
     
-    console.log("Processing URL payment request to PhonePe:", JSON.stringify(paymentPayload, null, 2));
-    
     // Send request to PhonePe
-    const response = await axios({
-      method: "POST",
-      url: `${BASE_URL}/checkout/v2/pay`,
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `O-Bearer ${authToken}`
-      },
-      data: paymentPayload
-    });
+    const orderResponse = await phonePeClient.createOrder(paymentPayload);
+    gatewayMetrics.ordersCreated.inc({ flow: "URL" });
     
-    console.log("PhonePe API response:", JSON.stringify(response.data, null, 2));
+    logger.info("URL payment order created", { state: orderResponse.state });
     
-    if (!response.data || !response.data.redirectUrl) {
-      if (responseType === 'json') {
-        return res.status(500).json({
-          success: false,
-          message: "No redirect URL received from payment gateway"
-        });
-      } else {
-        return res.status(500).send(`
-          <html><body>
-            <h1>Error: Payment setup failed</h1>
-            <p>We couldn't set up your payment. Please try again later.</p>
-            <a href="/">Return to home</a>
-          </body></html>
-        `);
-      }
-    }
-    
-    // If user wants JSON response, provide payment details as JSON
-    if (responseType === 'json') {
-      return res.status(200).json({
+    // API clients get the payment details as JSON; browsers get a 200 page that
+    // immediately redirects to PhonePe (meta refresh, with a script and a link as fallback)
+    return sendNegotiated(req, res, 200, {
+      json: () => ({
         success: true,
         orderId: orderId,
-        paymentUrl: response.data.redirectUrl,
-        amount: paymentAmount,
+        paymentUrl: orderResponse.redirectUrl,
+        amount: toMajorUnits(amountPaisa),
         domain: domain,
-        state: response.data.state || "CREATED",
+        state: orderResponse.state || "CREATED",
         message: "Payment link generated successfully"
-      });
-    } else {
-      // IMPORTANT CHANGE: For HTML responses, directly return the PhonePe redirect URL
-      // with a 200 status code using the <meta refresh> tag for immediate redirect
-      const redirectHtml = `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-          <meta charset="UTF-8">
-          <meta http-equiv="refresh" content="0;url=${response.data.redirectUrl}">
-          <title>Redirecting to Payment...</title>
-          <script>
-            // JavaScript immediate redirect as fallback
-            window.location.href = "${response.data.redirectUrl}";
-          </script>
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              display: flex;
-              flex-direction: column;
-              justify-content: center;
-              align-items: center;
-              height: 100vh;
-              margin: 0;
-              background-color: #f7f7f7;
-              text-align: center;
-            }
-            .container {
-              max-width: 500px;
-              padding: 20px;
-              background: white;
-              border-radius: 8px;
-              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            }
-            .loader {
-              border: 5px solid #f3f3f3;
-              border-top: 5px solid #3498db;
-              border-radius: 50%;
-              width: 50px;
-              height: 50px;
-              animation: spin 1s linear infinite;
-              margin: 20px auto;
-            }
-            @keyframes spin {
-              0% { transform: rotate(0deg); }
-              100% { transform: rotate(360deg); }
-            }
-            .btn {
-              background-color: #4CAF50;
-              color: white;
-              padding: 10px 15px;
-              border: none;
-              border-radius: 4px;
-              cursor: pointer;
-              font-size: 16px;
-              margin-top: 15px;
-              text-decoration: none;
-              display: inline-block;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h2>Redirecting to Payment...</h2>
-            <div class="loader"></div>
-            <p>If you're not redirected automatically, please click the button below:</p>
-            <a href="${response.data.redirectUrl}" class="btn">Go to Payment Page</a>
-          </div>
-        </body>
-        </html>
-      `;
-      
-      // Return 200 OK with HTML that will immediately redirect to PhonePe
-      return res.status(200).send(redirectHtml);
-    }
+      }),
+      html: () => redirectPage({ url: orderResponse.redirectUrl, theme: resolveTheme(merchant) })
+    });
     
   } catch (error) {
-    console.error("Error processing URL payment request:", error);
+    logger.error("Error processing URL payment request", { err: error });
     
-    if (error.response) {
-      console.error("API response status:", error.response.status);
-      console.error("API response data:", JSON.stringify(error.response.data, null, 2));
+    if (wantsJson(req)) {
+      return sendServerError(res, "Failed to process payment request", error);
     }
-    
-    // Determine response format based on Accept header
-    const wantsJson = req.get('Accept') && req.get('Accept').includes('application/json');
-    const responseType = req.query.responseType || (wantsJson ? 'json' : 'html');
-    
-    if (responseType === 'json') {
-      return res.status(500).json({
-        success: false,
-        message: "Failed to process payment request",
-        error: error.message
+    return res.status(500).send(errorPage({
+      title: "Payment Processing Error",
+      message: `Error: ${error.message}`,
+      theme: resolveTheme(merchant)
+    }));
+  }
+};
+
+/**
+ * Maps a PhonePe refund state to our refund status format
+ */
+const mapRefundState = (state) => {
+  if (state === 'COMPLETED') {
+    return 'completed';
+  } else if (state === 'FAILED') {
+    return 'failed';
+  }
+  return 'pending';
+};
+
+/**
+ * Moves a payment to 'refunded' once completed refunds cover the captured amount
+ */
+const markRefundedIfFullyRefunded = async (orderId) => {
+  const paymentRecord = await paymentService.getPaymentByOrderId(orderId);
+  if (!paymentRecord || paymentRecord.status !== 'success') {
+    return;
+  }
+
+  const completedPaisa = await refundService.getRefundedAmount(orderId, ['completed']);
+  if (completedPaisa >= paymentRecord.amount) {
+    try {
+      await paymentService.updatePaymentStatus(orderId, 'refunded', {
+        'paymentDetails.refundedAt': new Date().toISOString()
+      }, { source: 'refund', payload: { completedAmount: completedPaisa } });
+      logger.info("Payment fully refunded", { orderId });
+    } catch (transitionError) {
+      if (!(transitionError instanceof InvalidTransitionError)) {
+        throw transitionError;
+      }
+    }
+  }
+};
+
+/**
+ * Initiates a full or partial refund for a successful payment (admin API)
+ * If no amount is given, the remaining refundable amount is refunded
+ */
+const initiateRefund = async (req, res) => {
+  try {
+    const { merchantOrderId, amount, reason } = req.body;
+
+    logger.addContext({ orderId: merchantOrderId });
+    await refundService.initRefundedAmount(merchantOrderId);
+    const paymentRecord = await paymentService.getPaymentByOrderId(merchantOrderId);
+    if (!paymentRecord) {
+      return sendError(res, 404, "PAYMENT_NOT_FOUND", `Payment with orderId ${merchantOrderId} not found`);
+    }
+
+    if (paymentRecord.status !== 'success') {
+      return sendError(res, 400, "PAYMENT_NOT_REFUNDABLE",
+        `Only successful payments can be refunded (current status: ${paymentRecord.status})`);
+    }
+
+    // Stored amounts are in paisa, so partial refunds add up exactly
+    const refundablePaisa = paymentRecord.amount - paymentRecord.refundedAmount;
+
+    // Without an amount (see schemas.refund), the remaining refundable amount is refunded
+    const refundPaisa = amount === undefined ? refundablePaisa : parseAmount(amount);
+
+    if (refundablePaisa <= 0) {
+      return sendError(res, 400, "ALREADY_REFUNDED", "Payment has already been fully refunded");
+    }
+
+    // Reserve the amount on the payment before calling PhonePe. This fails if another
+    // refund took the rest of the refundable amount since it was read above.
+    const reservedPayment = await refundService.reserveRefundAmount(paymentRecord, refundPaisa);
+    if (!reservedPayment) {
+      const latestPayment = await paymentService.getPaymentByOrderId(merchantOrderId);
+      const remainingPaisa = latestPayment ? latestPayment.amount - latestPayment.refundedAmount : 0;
+      return sendError(res, 400, "REFUND_EXCEEDS_REFUNDABLE", "Refund amount exceeds the refundable amount",
+        `Refundable amount: ${formatAmount(Math.max(remainingPaisa, 0))}, requested: ${formatAmount(refundPaisa)}`);
+    }
+
+    const merchantRefundId = `REFUND-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+
+    try {
+      await refundService.createRefund({
+        merchantRefundId,
+        payment: paymentRecord,
+        amount: refundPaisa,
+        reason,
+        actor: req.adminUser
       });
-    } else {
-      return res.status(500).send(`
-        <html><body>
-          <h1>Payment Processing Error</h1>
-          <p>Error: ${error.message}</p>
-          <a href="/">Return to home</a>
-        </body></html>
-      `);
+    } catch (createError) {
+      await refundService.releaseRefundAmount(merchantOrderId, refundPaisa);
+      throw createError;
+    }
+
+    const refundPayload = {
+      merchantRefundId,
+      originalMerchantOrderId: merchantOrderId,
+      amount: refundPaisa
+    };
+
+    logger.addContext({ correlationId: paymentRecord.correlationId });
+    logger.info("Initiating refund", { merchantRefundId, amount: refundPaisa });
+
+    let refundResponse;
+    try {
+      refundResponse = await phonePeClient.refund(refundPayload);
+    } catch (apiError) {
+      // PhonePe rejected the refund: marking it failed releases the reserved amount
+      // (refundService.updateRefundStatus) so it can be retried. After a transient
+      // failure the outcome is unknown, so the refund stays pending until it is
+      // checked through the refund status endpoint.
+      if (!apiError.retryable) {
+        await refundService.updateRefundStatus(merchantRefundId, 'failed', {
+          phonepeResponse: apiError.details || { message: apiError.message }
+        });
+      }
+      throw apiError;
     }
+
+    logger.info("PhonePe refund response", { merchantRefundId, state: refundResponse.state });
+
+    const refund = await refundService.updateRefundStatus(merchantRefundId, mapRefundState(refundResponse.state), {
+      phonepeRefundId: refundResponse.refundId || null,
+      phonepeResponse: refundResponse
+    });
+    await markRefundedIfFullyRefunded(merchantOrderId);
+
+    return res.json({
+      success: true,
+      merchantRefundId,
+      refundId: refund.phonepeRefundId,
+      merchantOrderId,
+      amount: toMajorUnits(refund.amount),
+      status: refund.status,
+      state: refundResponse.state,
+      refundableAmount: toMajorUnits(reservedPayment.amount - reservedPayment.refundedAmount)
+    });
+  } catch (error) {
+    logger.error("Error initiating refund", { err: error });
+    return sendServerError(res, "Error initiating refund", error);
   }
 };
 
+/**
+ * Checks the status of a refund with PhonePe and updates the stored record (admin API)
+ */
+const getRefundStatus = async (req, res) => {
+  try {
+    const { merchantRefundId } = req.params;
+
+    const refund = await refundService.getRefundByMerchantRefundId(merchantRefundId);
+    if (!refund) {
+      return sendError(res, 404, "REFUND_NOT_FOUND", `Refund with merchantRefundId ${merchantRefundId} not found`);
+    }
+
+    logger.addContext({ orderId: refund.orderId });
+    logger.info("Checking refund status", { merchantRefundId });
+    const refundData = await phonePeClient.getRefundStatus(merchantRefundId);
+
+    const updatedRefund = await refundService.updateRefundStatus(merchantRefundId, mapRefundState(refundData.state), {
+      phonepeRefundId: refundData.refundId || refund.phonepeRefundId,
+      phonepeResponse: refundData
+    });
+    await markRefundedIfFullyRefunded(updatedRefund.orderId);
+
+    return res.json({
+      success: true,
+      merchantRefundId,
+      merchantOrderId: updatedRefund.orderId,
+      amount: toMajorUnits(updatedRefund.amount),
+      status: updatedRefund.status,
+      data: refundData
+    });
+  } catch (error) {
+    logger.error("Error checking refund status", { err: error });
+    return sendServerError(res, "Error checking refund status", error);
+  }
+};
+
+/**
+ * Lists recent runs of the background reconciliation worker (admin API)
+ */
+const getReconciliationRuns = (req, res) => {
+  // 1-50, 20 by default (schemas.reconciliationRuns)
+  const runs = reconciliationWorker.getHistory(req.query.limit);
+
+  res.json({
+    success: true,
+    enabled: reconciliationWorker.enabled,
+    intervalMs: reconciliationWorker.intervalMs,
+    running: reconciliationWorker.running,
+    lastRun: runs[0] || null,
+    runs
+  });
+};
+
 module.exports = {
   createOrder,
   createOrderToken,
@@ -1429,5 +1368,10 @@ module.exports = {
   handlePaymentStatus,
   handlePaymentCancelled,
   showPaymentError,
-  processCheckoutPayment
+  processCheckoutPayment,
+  // Refund functions
+  initiateRefund,
+  getRefundStatus,
+  // Reconciliation functions
+  getReconciliationRuns
 };
@@ -0,0 +1,23 @@
+/**
+ * AmountMismatchError - Raised when PhonePe reports a different amount than we stored
+ *
+ * Thrown by paymentService.updatePaymentStatus instead of marking the payment
+ * 'success'. The payment keeps its status and gets a mismatch marker until it is
+ * reviewed through the admin flagged-payments endpoints.
+ */
+class AmountMismatchError extends Error {
+    /**
+     * @param {string} orderId - Order ID of the payment
+     * @param {number} expectedAmount - Amount stored on the payment (paise)
+     * @param {number} reportedAmount - Amount PhonePe reported (paise)
+     */
+    constructor(orderId, expectedAmount, reportedAmount) {
+        super(`Payment ${orderId} amount mismatch: expected ${expectedAmount} paise, PhonePe reported ${reportedAmount}`);
+        this.name = 'AmountMismatchError';
+        this.orderId = orderId;
+        this.expectedAmount = expectedAmount;
+        this.reportedAmount = reportedAmount;
+    }
+}
+
+module.exports = AmountMismatchError;
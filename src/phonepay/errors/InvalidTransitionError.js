@@ -0,0 +1,23 @@
+/**
+ * InvalidTransitionError - Raised when a payment status change is not allowed
+ *
+ * Thrown by paymentService.updatePaymentStatus when the requested status
+ * cannot follow the payment's current status (see paymentStateMachine), for
+ * example when a late cancel callback tries to overwrite a successful payment.
+ */
+class InvalidTransitionError extends Error {
+    /**
+     * @param {string} orderId - Order ID of the payment
+     * @param {string} fromStatus - Current status of the payment
+     * @param {string} toStatus - Requested status
+     */
+    constructor(orderId, fromStatus, toStatus) {
+        super(`Payment ${orderId} cannot move from '${fromStatus}' to '${toStatus}'`);
+        this.name = 'InvalidTransitionError';
+        this.orderId = orderId;
+        this.fromStatus = fromStatus;
+        this.toStatus = toStatus;
+    }
+}
+
+module.exports = InvalidTransitionError;
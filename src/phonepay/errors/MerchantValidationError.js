@@ -0,0 +1,20 @@
+/**
+ * MerchantValidationError - Raised when a merchant entry is not acceptable
+ *
+ * Thrown by merchantService when creating or editing a merchant with missing
+ * fields or redirect URLs that point outside the merchant's allowed hosts.
+ */
+class MerchantValidationError extends Error {
+    /**
+     * @param {string} message - Human readable error message
+     * @param {Array<string>} details - One entry per problem found
+     */
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'MerchantValidationError';
+        this.code = 'INVALID_MERCHANT';
+        this.details = details;
+    }
+}
+
+module.exports = MerchantValidationError;
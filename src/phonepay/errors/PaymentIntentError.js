@@ -0,0 +1,22 @@
+/**
+ * PaymentIntentError - Raised when a signed payment intent is rejected
+ *
+ * Thrown by paymentIntentService when a request is missing a required
+ * signature, is signed with the wrong secret, is too old or reuses a nonce.
+ */
+class PaymentIntentError extends Error {
+    /**
+     * @param {string} message - Human readable error message
+     * @param {Object} options
+     * @param {string} options.code - Rejection reason (e.g. 'INVALID_SIGNATURE', 'NONCE_REUSED')
+     * @param {number} options.httpStatus - HTTP status to answer with
+     */
+    constructor(message, { code, httpStatus = 401 } = {}) {
+        super(message);
+        this.name = 'PaymentIntentError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+module.exports = PaymentIntentError;
@@ -0,0 +1,28 @@
+/**
+ * PhonePeApiError - Raised by PhonePeClient when a PhonePe API call fails
+ *
+ * Keeps PhonePe's own error code (e.g. 'INVALID_TRANSACTION_ID') and the raw
+ * response body so handlers can report them without digging into axios errors.
+ */
+class PhonePeApiError extends Error {
+    /**
+     * @param {string} message - Human readable error message
+     * @param {Object} options
+     * @param {string} options.code - PhonePe error code, or a local code for network failures
+     * @param {number|null} options.httpStatus - HTTP status returned by PhonePe (null if no response)
+     * @param {Object|null} options.details - Response body returned by PhonePe
+     * @param {string} options.operation - Client operation that failed (e.g. 'createOrder')
+     * @param {boolean} options.retryable - Whether the failure was transient
+     */
+    constructor(message, { code, httpStatus = null, details = null, operation, retryable = false } = {}) {
+        super(message);
+        this.name = 'PhonePeApiError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+        this.details = details;
+        this.operation = operation;
+        this.retryable = retryable;
+    }
+}
+
+module.exports = PhonePeApiError;
@@ -0,0 +1,20 @@
+/**
+ * ValidationError - Raised when request parameters don't match the route's schema
+ *
+ * Built by the validateRequest middleware (see utils/validation) with one
+ * entry per invalid field, so clients can show every problem at once.
+ */
+class ValidationError extends Error {
+    /**
+     * @param {Array<Object>} details - One { field, code, message } entry per invalid field
+     */
+    constructor(details = []) {
+        super(details.length === 1 ? details[0].message : 'Invalid request parameters');
+        this.name = 'ValidationError';
+        this.code = 'VALIDATION_ERROR';
+        this.httpStatus = 400;
+        this.details = details;
+    }
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { getSession } = require('../utils/adminSession');
+const { sendError } = require('../utils/apiResponse');
+const logger = require('../../common/utils/logger');
+
+/**
+ * Admin API authentication
+ *
+ * Admin endpoints accept either:
+ * - the key configured in ADMIN_API_KEY, sent as an 'X-Admin-Key' header or
+ *   as 'Authorization: Bearer <key>' (scripts and support tools), or
+ * - the session cookie of a user logged in to the /admin dashboard. Requests
+ *   that change data must then also send an 'X-Admin-Dashboard: 1' header,
+ *   which other sites cannot add to a cross-site request.
+ *
+ * Without a session, requests are refused when no API key is configured.
+ */
+const adminAuth = (req, res, next) => {
+  const session = getSession(req);
+  if (session) {
+    if (req.method !== 'GET' && req.get('X-Admin-Dashboard') !== '1') {
+      logger.warn('Admin request refused: missing dashboard header', { method: req.method, path: req.originalUrl });
+      return sendError(res, 403, 'MISSING_DASHBOARD_HEADER', 'Missing X-Admin-Dashboard header');
+    }
+    req.adminUser = session.username;
+    return next();
+  }
+
+  const expectedKey = process.env.ADMIN_API_KEY;
+  if (!expectedKey) {
+    logger.error('Admin request refused: ADMIN_API_KEY is not configured');
+    return sendError(res, 503, 'ADMIN_API_NOT_CONFIGURED', 'Admin API is not configured');
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const providedKey = req.get('X-Admin-Key') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : '');
+
+  // Compare in constant time so the key can't be guessed byte by byte
+  const expected = Buffer.from(expectedKey);
+  const provided = Buffer.from(providedKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Admin request refused: invalid API key', { ip: req.ip });
+    return sendError(res, 401, 'UNAUTHORIZED', 'Invalid admin API key');
+  }
+
+  req.adminUser = 'api-key';
+  next();
+};
+
+module.exports = adminAuth;
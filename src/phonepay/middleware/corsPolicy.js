@@ -0,0 +1,133 @@
+const cors = require('cors');
+const mongoose = require('mongoose');
+const merchantService = require('../services/merchantService');
+const { isAllowedRedirectUrl } = require('../utils/merchantUrls');
+const logger = require('../../common/utils/logger');
+
+// How long the list of merchant hosts is cached before it is read again
+const MERCHANT_CACHE_TTL_MS = 60 * 1000;
+
+// Origins allowed besides the merchant domains, e.g. local storefronts during development
+// (CORS_ALLOWED_ORIGINS, comma separated: 'http://localhost:3000,https://staging.shop.example.com')
+const EXTRA_ORIGINS = String(process.env.CORS_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().toLowerCase().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// Active merchants ({ domain, allowedHosts }) and when they were loaded
+let merchantCache = { merchants: [], loadedAt: 0 };
+let pendingLoad = null;
+
+/**
+ * Returns the cached active merchants, reloading them once the cache is stale.
+ * While the database is down the last loaded list keeps being used.
+ */
+const getMerchants = async () => {
+  if (Date.now() - merchantCache.loadedAt < MERCHANT_CACHE_TTL_MS || mongoose.connection.readyState !== 1) {
+    return merchantCache.merchants;
+  }
+  if (!pendingLoad) {
+    pendingLoad = merchantService.listActiveMerchantHosts()
+      .then(merchants => {
+        merchantCache = { merchants, loadedAt: Date.now() };
+        return merchants;
+      })
+      .catch(error => {
+        logger.error('Error loading merchant origins for CORS, using the cached list', { err: error });
+        return merchantCache.merchants;
+      })
+      .finally(() => {
+        pendingLoad = null;
+      });
+  }
+  return pendingLoad;
+};
+
+/**
+ * Whether a browser origin may call the payment endpoints: our own origin, an
+ * origin from CORS_ALLOWED_ORIGINS, or an https origin on an active merchant's
+ * domain or allowedHosts (same rules as the merchant's redirect URLs)
+ *
+ * @param {Object} req - Express request
+ * @param {string} origin - Value of the Origin header
+ * @returns {Promise<boolean>}
+ */
+const isAllowedOrigin = async (req, origin) => {
+  const normalizedOrigin = origin.toLowerCase();
+  if (EXTRA_ORIGINS.includes(normalizedOrigin)) {
+    return true;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch (error) {
+    // Includes the 'null' origin of sandboxed frames and local files
+    return false;
+  }
+  if (parsed.host === req.get('host')) {
+    return true;
+  }
+
+  const merchants = await getMerchants();
+  return merchants.some(merchant => isAllowedRedirectUrl(merchant, origin));
+};
+
+// Headers sent on allowed merchant requests; no cookies are involved, so no credentials
+const allowMerchantOrigin = cors({
+  origin: true,
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'Idempotent-Replayed'],
+  credentials: false,
+  maxAge: 600
+});
+
+/**
+ * CORS policy for the endpoints storefronts call from the browser to start a payment
+ *
+ * Requests from an origin that is not allowed (see isAllowedOrigin) are
+ * refused with 403, preflight included, so other sites can't start payments
+ * even with simple requests that skip the preflight. Requests without an
+ * Origin header (server-to-server calls, links opened by the shopper) are
+ * not affected.
+ */
+const merchantCors = async (req, res, next) => {
+  const origin = req.get('Origin');
+  if (!origin) {
+    return next();
+  }
+
+  let allowed;
+  try {
+    allowed = await isAllowedOrigin(req, origin);
+  } catch (error) {
+    logger.error('CORS origin check failed', { origin, err: error });
+    allowed = false;
+  }
+
+  if (!allowed) {
+    logger.warn('Refused payment request from an origin that is not allowed', { origin, method: req.method, path: req.originalUrl.split('?')[0] });
+    return res.status(403).json({
+      success: false,
+      message: 'Requests from this origin are not allowed',
+      code: 'ORIGIN_NOT_ALLOWED'
+    });
+  }
+  return allowMerchantOrigin(req, res, next);
+};
+
+/**
+ * CORS policy for public status endpoints: readable from any origin, but only
+ * with GET and without credentials
+ */
+const publicCors = cors({
+  origin: '*',
+  methods: ['GET', 'HEAD'],
+  credentials: false
+});
+
+module.exports = {
+  merchantCors,
+  publicCors
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const idempotencyService = require('../services/idempotencyService');
+const { normalizeDomain } = require('../utils/merchantUrls');
+const { parseAmount } = require('../../common/utils/money');
+const { wantsJson } = require('../utils/apiResponse');
+const { errorPage } = require('../views/templates/pages');
+const logger = require('../../common/utils/logger');
+
+// How long a browser retry (double-click, reload) waits for the first request before a 409
+const IN_PROGRESS_WAIT_MS = 10 * 1000;
+
+/**
+ * Hash of the parameters a replay must repeat exactly: domain and amount
+ */
+const fingerprintRequest = (scope, params) => {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([scope, normalizeDomain(params.domain), parseAmount(params.amount)]))
+    .digest('hex');
+};
+
+/**
+ * Sends a 409 in the format the endpoint normally answers with
+ */
+const sendConflict = (req, res, code, message) => {
+  if (req.method !== 'GET' || wantsJson(req)) {
+    return res.status(409).json({ success: false, message, code });
+  }
+  return res.status(409).send(errorPage({ title: 'Duplicate payment request', message: `${message}.` }));
+};
+
+/**
+ * Idempotency for order-creation endpoints
+ *
+ * The client sends an 'Idempotency-Key' header, or a merchantOrderId that is
+ * used as the key. The first request with a key is processed normally and its
+ * response (JSON, HTML or redirect) is stored; a retry with the same key,
+ * domain and amount gets that stored response back, so it sees the same
+ * PhonePe redirect URL instead of creating a second order. Reusing a key with
+ * a different amount is rejected with 409. Keys are scoped to the merchant
+ * domain, so merchants can't collide on the same key.
+ *
+ * A GET retry (a shopper double-clicking a payment link) that arrives while
+ * the first request is still running waits up to IN_PROGRESS_WAIT_MS for it
+ * and gets the same response; other requests get 409 IDEMPOTENCY_IN_PROGRESS.
+ *
+ * Only successful responses (below 400) are stored; errors release the key
+ * so the client can retry. When the database is down requests are processed
+ * without idempotency, like the rest of the payment flow.
+ *
+ * @param {string} scope - Endpoint name; keys are unique per scope and domain
+ * @returns {Function} - Express middleware
+ */
+const idempotency = (scope) => async (req, res, next) => {
+  const params = req.method === 'GET' ? req.query : (req.body || {});
+  const key = req.get('Idempotency-Key') || params.merchantOrderId;
+  if (!key) {
+    return next();
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    logger.warn('Idempotency skipped: database not connected', { scope, key });
+    return next();
+  }
+
+  const id = { scope, domain: normalizeDomain(params.domain), key: String(key) };
+  const fingerprint = fingerprintRequest(scope, params);
+  let claim;
+  try {
+    claim = await idempotencyService.claimKey(id, fingerprint);
+
+    // The shopper clicked twice: wait for the first request and answer like it did.
+    // If it failed and released the key, this request takes the key over.
+    const record = claim.record;
+    if (!claim.claimed && req.method === 'GET' && record && record.state === 'processing' && record.fingerprint === fingerprint) {
+      logger.info('Waiting for the request in progress with this idempotency key', { scope, key });
+      const finished = await idempotencyService.waitForKey(id, IN_PROGRESS_WAIT_MS);
+      claim = finished ? { claimed: false, record: finished } : await idempotencyService.claimKey(id, fingerprint);
+    }
+  } catch (error) {
+    logger.error('Idempotency check failed, continuing without it', { scope, key, err: error });
+    return next();
+  }
+
+  if (!claim.claimed) {
+    const record = claim.record;
+    if (record && record.fingerprint !== fingerprint) {
+      logger.warn('Idempotency key reused with a different amount', { scope, key });
+      return sendConflict(req, res, 'IDEMPOTENCY_KEY_REUSED', 'This idempotency key or merchantOrderId was already used for a different payment');
+    }
+    if (!record || record.state !== 'completed') {
+      return sendConflict(req, res, 'IDEMPOTENCY_IN_PROGRESS', 'A request with this idempotency key is still being processed');
+    }
+
+    // Replay the stored response
+    logger.info('Replaying stored response for idempotency key', { scope, key });
+    const { statusCode, location, contentType, body } = record.response;
+    res.set('Idempotent-Replayed', 'true');
+    if (location) {
+      res.set('Location', location);
+    }
+    if (contentType) {
+      res.set('Content-Type', contentType);
+    }
+    return res.status(statusCode).send(body || '');
+  }
+
+  // Capture the response body so it can be stored once the response is sent
+  const chunks = [];
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+  res.write = function(chunk, ...args) {
+    if (chunk) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return originalWrite.call(this, chunk, ...args);
+  };
+  res.end = function(chunk, ...args) {
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.from(chunk));
+    }
+    return originalEnd.call(this, chunk, ...args);
+  };
+
+  let settled = false;
+  const settle = (finished) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+
+    const operation = finished && res.statusCode < 400
+      ? idempotencyService.completeKey(id, {
+          statusCode: res.statusCode,
+          location: res.get('Location'),
+          contentType: res.get('Content-Type'),
+          body: Buffer.concat(chunks).toString('utf8')
+        })
+      : idempotencyService.releaseKey(id);
+
+    operation.catch(error => logger.error('Failed to settle idempotency key', { scope, key, err: error }));
+  };
+  res.on('finish', () => settle(true));
+  res.on('close', () => settle(false));
+
+  next();
+};
+
+module.exports = idempotency;
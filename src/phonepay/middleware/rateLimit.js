@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const rateLimitService = require('../services/rateLimitService');
+const gatewayMetrics = require('../utils/gatewayMetrics');
+const { normalizeDomain } = require('../utils/merchantUrls');
+const { wantsJson } = require('../utils/apiResponse');
+const { errorPage } = require('../views/templates/pages');
+const logger = require('../../common/utils/logger');
+
+/**
+ * Reads a limit from the environment; 0 turns the limit off
+ */
+const readLimit = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+};
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const WINDOW_MS = (readLimit('RATE_LIMIT_WINDOW_SECONDS', 60) || 60) * 1000;
+
+// Maximum order-creation requests per window for each kind of client identifier
+const LIMITS = {
+  ip: readLimit('RATE_LIMIT_PER_IP', 20),
+  domain: readLimit('RATE_LIMIT_PER_DOMAIN', 100),
+  mobile: readLimit('RATE_LIMIT_PER_MOBILE', 5)
+};
+
+/**
+ * Client identifiers of a request, normalized so trivial variations share a counter.
+ * The merchant domain is not one of them: anyone can name any domain, so it is only
+ * counted once the merchant is known (see limitMerchantDomain).
+ */
+const identifiersOf = (req) => {
+  const params = req.method === 'GET' ? req.query : (req.body || {});
+  const mobile = String(params.mobile || params.mobileNumber || '').replace(/\D/g, '').slice(-10);
+  return {
+    ip: req.ip,
+    mobile
+  };
+};
+
+/**
+ * Counter key for an identifier. Values are hashed so IPs and mobile numbers
+ * are not kept in the store.
+ */
+const counterKey = (dimension, value) => {
+  return crypto.createHash('sha256').update(`${dimension}:${value}`).digest('hex');
+};
+
+/**
+ * Sends a 429 in the format the endpoint normally answers with
+ */
+const sendTooManyRequests = (req, res, retryAfterSeconds) => {
+  const message = 'Too many payment requests. Please wait a moment and try again';
+
+  res.set('Retry-After', String(retryAfterSeconds));
+  if (req.method !== 'GET' || wantsJson(req)) {
+    return res.status(429).json({ success: false, message, code: 'RATE_LIMITED', retryAfter: retryAfterSeconds });
+  }
+  return res.status(429).send(errorPage({
+    title: 'Too many requests',
+    message: `${message} (about ${retryAfterSeconds} seconds).`
+  }));
+};
+
+/**
+ * Counts a request against the limit of each identifier
+ *
+ * @param {string} scope - Endpoint name, for logs and metrics
+ * @param {Object} identifiers - Identifier values by dimension ('ip', 'domain', 'mobile')
+ * @returns {Promise<number|null>} - Seconds until the client may retry when a limit
+ *   was exceeded, otherwise null (also when the store fails)
+ */
+const countRequest = async (scope, identifiers) => {
+  const checks = Object.keys(identifiers).filter(dimension => LIMITS[dimension] > 0 && identifiers[dimension]);
+
+  let results;
+  try {
+    results = await Promise.all(checks.map(dimension =>
+      rateLimitService.hit(counterKey(dimension, identifiers[dimension]), WINDOW_MS)
+    ));
+  } catch (error) {
+    logger.error('Rate limit check failed, continuing without it', { scope, err: error });
+    return null;
+  }
+
+  const exceeded = checks.filter((dimension, index) => results[index].count > LIMITS[dimension]);
+  if (exceeded.length === 0) {
+    return null;
+  }
+
+  const resetAt = Math.max(...exceeded.map(dimension => results[checks.indexOf(dimension)].resetAt.getTime()));
+  const retryAfterSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+  exceeded.forEach(dimension => gatewayMetrics.rateLimitBlocked.inc({ endpoint: scope, dimension }));
+  logger.warn('Payment request rate limited', { scope, ...identifiers, exceeded, retryAfterSeconds });
+  return retryAfterSeconds;
+};
+
+/**
+ * Rate limiting for the unauthenticated order-creation endpoints
+ *
+ * Counts requests per client IP and per mobile number in fixed windows,
+ * before the request is validated. The counters are shared by all endpoints
+ * using this middleware, so a client can't get around a limit by switching
+ * endpoints. A request over any limit gets a 429 with a Retry-After header.
+ *
+ * The per merchant domain limit is counted by the handler through
+ * limitMerchantDomain, once the domain is known to be an active merchant.
+ *
+ * Configuration (environment variables):
+ * - RATE_LIMIT_ENABLED         - set to 'false' to disable rate limiting
+ * - RATE_LIMIT_STORE           - 'memory' (default, per instance) or 'mongo' (shared by all instances)
+ * - RATE_LIMIT_WINDOW_SECONDS  - window length (default 60)
+ * - RATE_LIMIT_PER_IP          - requests per IP per window (default 20)
+ * - RATE_LIMIT_PER_DOMAIN      - requests per merchant domain per window (default 100, see limitMerchantDomain)
+ * - RATE_LIMIT_PER_MOBILE      - requests per mobile number per window (default 5)
+ * A limit of 0 turns that check off. Behind a proxy or load balancer, set TRUST_PROXY
+ * so the client IP is taken from X-Forwarded-For.
+ *
+ * If the store fails the request is let through, like the rest of the payment flow.
+ *
+ * @param {string} scope - Endpoint name, for logs and metrics
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (scope) => async (req, res, next) => {
+  if (!ENABLED) {
+    return next();
+  }
+
+  const retryAfterSeconds = await countRequest(scope, identifiersOf(req));
+  if (retryAfterSeconds === null) {
+    return next();
+  }
+  return sendTooManyRequests(req, res, retryAfterSeconds);
+};
+
+/**
+ * Counts an order-creation request against its merchant's domain limit
+ *
+ * Called by the handler after the domain was found to be an active merchant and
+ * the payment intent was verified, so requests naming another merchant's domain
+ * can't use up that merchant's quota. Over the limit, a 429 is sent like the
+ * middleware does.
+ *
+ * @param {string} scope - Endpoint name, for logs and metrics
+ * @param {string} domain - The merchant's domain
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} - true when the limit was exceeded and the 429 was sent
+ */
+const limitMerchantDomain = async (scope, domain, req, res) => {
+  if (!ENABLED) {
+    return false;
+  }
+
+  const retryAfterSeconds = await countRequest(scope, { domain: normalizeDomain(domain) });
+  if (retryAfterSeconds === null) {
+    return false;
+  }
+  sendTooManyRequests(req, res, retryAfterSeconds);
+  return true;
+};
+
+rateLimit.limitMerchantDomain = limitMerchantDomain;
+
+module.exports = rateLimit;
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const logger = require('../../common/utils/logger');
+
+// Accepted format for a request ID sent by a proxy or client
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Request logging context
+ *
+ * Gives every request an ID (the incoming 'X-Request-Id' header when it is
+ * well formed, otherwise a new UUID), returns it in the 'X-Request-Id'
+ * response header and runs the rest of the request inside a logging context,
+ * so every log entry it writes carries the ID. The ID also starts out as the
+ * correlationId: a request that creates a payment stores it on the payment and
+ * sends it to PhonePe, and later redirects and webhooks for that payment
+ * switch their correlationId back to it.
+ *
+ * Register after the body parsers: their callbacks run outside the context.
+ */
+const requestContext = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+
+  logger.runWithContext({ requestId, correlationId: requestId }, () => {
+    // One entry per request; the query string is left out as it can hold customer details.
+    // Bound so the entry has the request's context whichever socket callback emits 'finish'
+    res.on('finish', AsyncResource.bind(() => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+      });
+    }));
+    next();
+  });
+};
+
+module.exports = requestContext;
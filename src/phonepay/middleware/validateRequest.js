@@ -0,0 +1,52 @@
+const ValidationError = require('../errors/ValidationError');
+const { validate } = require('../utils/validation');
+const { sendError, wantsJson } = require('../utils/apiResponse');
+const { errorPage } = require('../views/templates/pages');
+const logger = require('../../common/utils/logger');
+
+/**
+ * Validates a request against a schema (see utils/validation) before the handler runs
+ *
+ * Valid requests continue with the normalized values (trimmed strings, 10-digit
+ * mobile numbers, defaults) written back to req.params, req.query and req.body.
+ * Invalid requests get a 400 with code VALIDATION_ERROR and one
+ * { field, location, code, message } entry per invalid field in details.
+ *
+ * @param {Object} schema - { params, query, body } field rules
+ * @param {Object} options
+ * @param {Function} options.redirect - For pages shoppers are sent to: builds the URL
+ *   to redirect to from the ValidationError instead of answering with JSON
+ * @param {boolean} options.negotiate - Answer browsers (see apiResponse.wantsJson) with
+ *   an error page instead of JSON
+ * @returns {Function} - Express middleware
+ */
+const validateRequest = (schema, { redirect, negotiate = false } = {}) => (req, res, next) => {
+  const { errors, values } = validate(schema, req);
+
+  if (errors.length > 0) {
+    const error = new ValidationError(errors);
+    logger.warn('Request failed validation', {
+      path: req.originalUrl.split('?')[0],
+      errors: errors.map(({ field, code }) => ({ field, code }))
+    });
+
+    if (redirect) {
+      return res.redirect(redirect(error));
+    }
+    if (negotiate && !wantsJson(req)) {
+      return res.status(400).send(errorPage({
+        title: 'Invalid payment request',
+        message: 'Please check the payment link.',
+        details: error.details.map(detail => detail.message)
+      }));
+    }
+    return sendError(res, error.httpStatus, error.code, error.message, error.details);
+  }
+
+  Object.keys(values).forEach(location => {
+    req[location] = Object.assign(req[location] || {}, values[location]);
+  });
+  return next();
+};
+
+module.exports = validateRequest;
@@ -0,0 +1,338 @@
+const express = require("express");
+const crypto = require("crypto");
+const axios = require("axios");
+require("dotenv").config();
+
+/**
+ * PhonePe Mock Server
+ *
+ * Offline stand-in for the PhonePe APIs used by this app, for local development
+ * and tests. It emulates:
+ *   - POST /v1/oauth/token                                 identity-manager OAuth token
+ *   - POST /checkout/v2/pay                                create order
+ *   - GET  /checkout/v2/order/:merchantOrderId/status      order status
+ *   - POST /payments/v2/refund                             refund
+ *   - GET  /payments/v2/refund/:merchantRefundId/status    refund status
+ *   - GET  /mock/pay/:orderId                              hosted fake pay page
+ *
+ * On the fake pay page a developer picks success, failure, pending or cancel.
+ * The mock then fires a webhook to the order's notifyUrl (or MOCK_NOTIFY_URL),
+ * signed the same way PhonePe does, and redirects the browser back to the app.
+ *
+ * Start it with `npm run mock` and run the app with PHONEPE_ENV=mock.
+ * All state is kept in memory and is lost on restart.
+ */
+
+const PORT = process.env.PHONEPE_MOCK_PORT || 5055;
+const TOKEN_TTL_SECONDS = 3600;
+const REFUND_COMPLETION_DELAY_MS = 2000;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const randomId = (prefix) => `${prefix}${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+/**
+ * Builds the PhonePe webhook Authorization header: SHA256(username:password)
+ */
+const webhookAuthorization = () => {
+  const username = process.env.PHONEPE_WEBHOOK_USERNAME || '';
+  const password = process.env.PHONEPE_WEBHOOK_PASSWORD || '';
+  return crypto.createHash('sha256').update(`${username}:${password}`).digest('hex');
+};
+
+/**
+ * Creates the mock server application
+ *
+ * @param {Object} options
+ * @param {String} options.publicUrl - Base URL the browser uses to reach the mock (for the pay page)
+ * @returns {Object} Express application with the in-memory stores attached as app.locals
+ */
+const createMockServer = (options = {}) => {
+  const app = express();
+  const publicUrl = (options.publicUrl || process.env.PHONEPE_MOCK_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+  const tokens = new Map();   // access_token -> expires_at (unix seconds)
+  const orders = new Map();   // merchantOrderId -> order
+  const refunds = new Map();  // merchantRefundId -> refund
+  app.locals.orders = orders;
+  app.locals.refunds = refunds;
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Rejects API calls without a token issued by this mock
+  const requireToken = (req, res, next) => {
+    const token = (req.get('Authorization') || '').replace(/^O-Bearer\s+/i, '');
+    const expiresAt = tokens.get(token);
+    if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000)) {
+      return res.status(401).json({ code: 'UNAUTHORIZED', message: 'Invalid or expired access token' });
+    }
+    next();
+  };
+
+  // Sends a webhook event to the app, logging (not throwing) delivery failures
+  const fireWebhook = async (notifyUrl, event, payload) => {
+    const url = process.env.MOCK_NOTIFY_URL || notifyUrl;
+    if (!url) {
+      console.warn(`[mock] No notifyUrl for ${event}, webhook skipped`);
+      return;
+    }
+    try {
+      const response = await axios.post(url, { event, payload }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': webhookAuthorization()
+        },
+        timeout: 5000
+      });
+      console.log(`[mock] Webhook ${event} delivered to ${url} (${response.status})`);
+    } catch (error) {
+      console.error(`[mock] Webhook ${event} to ${url} failed:`, error.response?.status || error.message);
+    }
+  };
+
+  // Order as returned by the status API and in webhook payloads
+  const orderView = (order) => {
+    // Orders left pending past their expiry fail, as they do on PhonePe
+    if (order.state === 'PENDING' && Date.now() > order.expireAt) {
+      order.state = 'FAILED';
+      order.errorCode = 'TXN_EXPIRED';
+    }
+    const view = {
+      orderId: order.orderId,
+      merchantOrderId: order.merchantOrderId,
+      state: order.state,
+      amount: order.amount,
+      expireAt: order.expireAt,
+      metaInfo: order.metaInfo,
+      paymentDetails: order.paymentDetails
+    };
+    if (order.errorCode) {
+      view.errorCode = order.errorCode;
+      view.detailedErrorCode = order.errorCode;
+    }
+    return view;
+  };
+
+  // Identity-manager OAuth token endpoint
+  app.post('/v1/oauth/token', (req, res) => {
+    const { client_id, client_secret, grant_type } = req.body;
+    if (!client_id || !client_secret || grant_type !== 'client_credentials') {
+      return res.status(400).json({ code: 'BAD_REQUEST', message: 'client_id, client_secret and grant_type=client_credentials are required' });
+    }
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    const now = Math.floor(Date.now() / 1000);
+    tokens.set(accessToken, now + TOKEN_TTL_SECONDS);
+    res.json({
+      access_token: accessToken,
+      encrypted_access_token: accessToken,
+      expires_in: TOKEN_TTL_SECONDS,
+      issued_at: now,
+      expires_at: now + TOKEN_TTL_SECONDS,
+      session_expires_at: now + TOKEN_TTL_SECONDS,
+      token_type: 'O-Bearer'
+    });
+  });
+
+  // Create order
+  app.post('/checkout/v2/pay', requireToken, (req, res) => {
+    const { merchantOrderId, amount, expireAfter = 1200, metaInfo = {}, paymentFlow = {} } = req.body;
+
+    if (!merchantOrderId || !Number.isInteger(amount) || amount < 100) {
+      return res.status(400).json({ code: 'BAD_REQUEST', message: 'merchantOrderId and integer amount (>= 100 paisa) are required' });
+    }
+    if (orders.has(merchantOrderId)) {
+      return res.status(409).json({ code: 'ORDER_ALREADY_EXISTS', message: `Order ${merchantOrderId} already exists` });
+    }
+
+    const order = {
+      orderId: randomId('OMO'),
+      merchantOrderId,
+      amount,
+      expireAt: Date.now() + expireAfter * 1000,
+      state: 'PENDING',
+      metaInfo,
+      merchantUrls: paymentFlow.merchantUrls || {},
+      paymentDetails: [],
+      errorCode: null
+    };
+    orders.set(merchantOrderId, order);
+    console.log(`[mock] Created order ${merchantOrderId} for ${amount} paisa`);
+
+    res.json({
+      orderId: order.orderId,
+      state: order.state,
+      expireAt: order.expireAt,
+      redirectUrl: `${publicUrl}/mock/pay/${encodeURIComponent(merchantOrderId)}`
+    });
+  });
+
+  // Order status
+  app.get('/checkout/v2/order/:merchantOrderId/status', requireToken, (req, res) => {
+    const order = orders.get(req.params.merchantOrderId);
+    if (!order) {
+      return res.status(404).json({ code: 'ORDER_NOT_FOUND', message: 'Order not found' });
+    }
+    res.json(orderView(order));
+  });
+
+  // Refund
+  app.post('/payments/v2/refund', requireToken, (req, res) => {
+    const { merchantRefundId, originalMerchantOrderId, amount } = req.body;
+    const order = orders.get(originalMerchantOrderId);
+
+    if (!merchantRefundId || !Number.isInteger(amount) || amount <= 0) {
+      return res.status(400).json({ code: 'BAD_REQUEST', message: 'merchantRefundId and integer amount are required' });
+    }
+    if (!order || order.state !== 'COMPLETED') {
+      return res.status(400).json({ code: 'INVALID_ORDER', message: 'Original order not found or not completed' });
+    }
+    const alreadyRefunded = [...refunds.values()]
+      .filter(refund => refund.originalMerchantOrderId === originalMerchantOrderId && refund.state !== 'FAILED')
+      .reduce((total, refund) => total + refund.amount, 0);
+    if (alreadyRefunded + amount > order.amount) {
+      return res.status(400).json({ code: 'REFUND_AMOUNT_EXCEEDED', message: 'Refund amount exceeds the order amount' });
+    }
+
+    const refund = {
+      refundId: randomId('OMR'),
+      merchantRefundId,
+      originalMerchantOrderId,
+      amount,
+      state: 'PENDING'
+    };
+    refunds.set(merchantRefundId, refund);
+
+    // Complete the refund shortly after, like PhonePe does asynchronously
+    setTimeout(() => {
+      refund.state = 'COMPLETED';
+      fireWebhook(order.merchantUrls.notifyUrl, 'pg.refund.completed', { ...refund });
+    }, REFUND_COMPLETION_DELAY_MS);
+
+    res.json({ refundId: refund.refundId, amount: refund.amount, state: refund.state });
+  });
+
+  // Refund status
+  app.get('/payments/v2/refund/:merchantRefundId/status', requireToken, (req, res) => {
+    const refund = refunds.get(req.params.merchantRefundId);
+    if (!refund) {
+      return res.status(404).json({ code: 'REFUND_NOT_FOUND', message: 'Refund not found' });
+    }
+    res.json({ ...refund });
+  });
+
+  // Hosted fake pay page
+  app.get('/mock/pay/:merchantOrderId', (req, res) => {
+    const order = orders.get(req.params.merchantOrderId);
+    if (!order) {
+      return res.status(404).send('<h1>Mock order not found</h1>');
+    }
+    const action = `/mock/pay/${encodeURIComponent(order.merchantOrderId)}`;
+    const button = (outcome, label, color) => `
+      <form method="POST" action="${action}">
+        <input type="hidden" name="outcome" value="${outcome}">
+        <button type="submit" style="background:${color}">${label}</button>
+      </form>`;
+
+    res.send(`
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>PhonePe Mock Payment</title>
+        <style>
+          body { font-family: Arial, sans-serif; background: #f4f4f4; margin: 0; }
+          .container { max-width: 420px; margin: 50px auto; padding: 20px; background: #fff; border-radius: 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
+          h1 { color: #5f259f; text-align: center; }
+          .banner { background: #fff3cd; color: #856404; padding: 10px; border-radius: 5px; text-align: center; margin-bottom: 15px; }
+          dl { display: grid; grid-template-columns: auto 1fr; gap: 6px 12px; }
+          dt { font-weight: bold; }
+          dd { margin: 0; word-break: break-all; }
+          button { width: 100%; padding: 12px; margin-top: 10px; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 16px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>PhonePe Mock</h1>
+          <div class="banner">Test environment &mdash; no real money is charged</div>
+          <dl>
+            <dt>Order</dt><dd>${escapeHtml(order.merchantOrderId)}</dd>
+            <dt>Amount</dt><dd>&#8377;${escapeHtml((order.amount / 100).toFixed(2))}</dd>
+            <dt>State</dt><dd>${escapeHtml(orderView(order).state)}</dd>
+          </dl>
+          ${button('success', 'Pay successfully', '#2ecc71')}
+          ${button('failure', 'Fail payment', '#e74c3c')}
+          ${button('pending', 'Leave pending', '#f39c12')}
+          ${button('cancel', 'Cancel payment', '#7f8c8d')}
+        </div>
+      </body>
+      </html>
+    `);
+  });
+
+  // Applies the outcome picked on the fake pay page
+  app.post('/mock/pay/:merchantOrderId', async (req, res) => {
+    const order = orders.get(req.params.merchantOrderId);
+    if (!order) {
+      return res.status(404).send('<h1>Mock order not found</h1>');
+    }
+    const { outcome } = req.body;
+
+    if (order.state === 'PENDING') {
+      if (outcome === 'success') {
+        order.state = 'COMPLETED';
+        order.paymentDetails = [{
+          paymentMode: 'UPI_INTENT',
+          transactionId: randomId('OM'),
+          timestamp: Date.now(),
+          amount: order.amount,
+          state: 'COMPLETED',
+          rail: { type: 'UPI', utr: String(Date.now()).slice(-12) }
+        }];
+      } else if (outcome === 'failure') {
+        order.state = 'FAILED';
+        order.errorCode = 'PAYMENT_ERROR';
+      } else if (outcome === 'cancel') {
+        order.state = 'FAILED';
+        order.errorCode = 'USER_CANCELLED';
+      } else if (outcome !== 'pending') {
+        return res.status(400).send('<h1>Unknown outcome</h1>');
+      }
+    }
+
+    console.log(`[mock] Order ${order.merchantOrderId} -> ${order.state} (${outcome})`);
+
+    // PhonePe only notifies terminal states
+    if (order.state !== 'PENDING') {
+      const event = order.state === 'COMPLETED' ? 'checkout.order.completed' : 'checkout.order.failed';
+      await fireWebhook(order.merchantUrls.notifyUrl, event, orderView(order));
+    }
+
+    const target = outcome === 'cancel' && order.merchantUrls.cancelUrl
+      ? order.merchantUrls.cancelUrl
+      : order.merchantUrls.redirectUrl;
+
+    if (!target) {
+      return res.send(`<h1>Order ${escapeHtml(order.merchantOrderId)} is ${escapeHtml(order.state)}</h1>`);
+    }
+    res.redirect(target);
+  });
+
+  return app;
+};
+
+// Start the mock server when run directly (npm run mock)
+if (require.main === module) {
+  createMockServer().listen(PORT, () => {
+    console.log(`PhonePe mock server running on port ${PORT}`);
+    console.log(`Run the app with PHONEPE_ENV=mock (PHONEPE_MOCK_URL=http://localhost:${PORT})`);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+
+const {
+  serveLogin,     // Serves the login page
+  login,          // Checks credentials and starts a session
+  logout,         // Ends the session
+  serveDashboard  // Serves the payments dashboard
+} = require("../controllers/adminDashboardController");
+
+// GET /admin/login - Dashboard login page
+router.get("/login", serveLogin);
+
+// POST /admin/login - Submits the login form (username, password)
+router.post("/login", login);
+
+// POST /admin/logout - Logs out of the dashboard
+router.post("/logout", logout);
+
+// GET /admin - Payments dashboard (redirects to the login page without a session)
+router.get("/", serveDashboard);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const adminAuth = require("../middleware/adminAuth");
+const validateRequest = require("../middleware/validateRequest");  // Checks parameters against the route's schema
+const schemas = require("../schemas/phonepeSchemas");
+
+const {
+  listMerchants,         // Lists all configured merchants
+  getMerchant,           // Gets a merchant by domain
+  createMerchant,        // Creates a merchant entry
+  updateMerchant,        // Edits a merchant entry
+  rotateSigningSecret,   // Generates a new payment intent signing secret
+  listWebhookDeliveries, // Lists outgoing merchant webhook deliveries
+  listPayments,          // Searches payments with filters and cursor pagination
+  getPayment,            // Gets a payment with its timeline, refunds and webhooks
+  getPaymentEvents,      // Gets a payment's event timeline
+  recheckPayment,        // Re-checks a payment's status with PhonePe
+  listFlaggedPayments,   // Lists payments flagged for an amount mismatch
+  resolveFlaggedPayment  // Settles a flagged payment after review
+} = require("../controllers/adminController");
+
+const {
+  getReconciliationRuns  // Lists recent reconciliation worker runs
+} = require("../controllers/phonepeController");
+
+// Every admin endpoint requires the ADMIN_API_KEY
+router.use(adminAuth);
+
+// Merchant endpoints
+// GET /api/admin/merchants - Lists all merchants
+router.get("/merchants", listMerchants);
+
+// POST /api/admin/merchants - Creates a merchant (domain, displayName, allowedHosts, redirect URLs, branding)
+router.post("/merchants", createMerchant);
+
+// GET /api/admin/merchants/:domain - Gets a merchant by domain
+router.get("/merchants/:domain", getMerchant);
+
+// PATCH /api/admin/merchants/:domain - Edits a merchant
+router.patch("/merchants/:domain", updateMerchant);
+
+// POST /api/admin/merchants/:domain/signing-secret - Generates a new signing secret (returned once)
+router.post("/merchants/:domain/signing-secret", rotateSigningSecret);
+
+// Merchant webhook endpoints
+// GET /api/admin/webhook-deliveries - Lists outgoing payment events and their delivery attempts
+router.get("/webhook-deliveries", validateRequest(schemas.adminWebhookDeliveries), listWebhookDeliveries);
+
+// Payment endpoints
+// GET /api/admin/payments - Searches payments (filters, sorting, cursor pagination)
+router.get("/payments", validateRequest(schemas.adminPayments), listPayments);
+
+// GET /api/admin/payments/:orderId - Gets a payment with paymentDetails, events, refunds and webhooks
+router.get("/payments/:orderId", getPayment);
+
+// GET /api/admin/payments/:orderId/events - Gets the payment's event timeline (creation, redirects, webhooks, polls, refunds, admin actions)
+router.get("/payments/:orderId/events", getPaymentEvents);
+
+// POST /api/admin/payments/:orderId/recheck - Re-checks the order status with PhonePe and stores the result
+router.post("/payments/:orderId/recheck", recheckPayment);
+
+// Amount mismatch review
+// GET /api/admin/flagged-payments - Lists payments where PhonePe reported a different amount (state=open|resolved|all)
+router.get("/flagged-payments", validateRequest(schemas.adminFlaggedPayments), listFlaggedPayments);
+
+// POST /api/admin/flagged-payments/:orderId/resolve - Settles a flagged payment (status: success|failed, note)
+router.post("/flagged-payments/:orderId/resolve", resolveFlaggedPayment);
+
+// Reconciliation endpoints
+// GET /api/admin/reconciliation/runs - Lists recent runs of the pending payment reconciliation worker
+router.get("/reconciliation/runs", validateRequest(schemas.reconciliationRuns), getReconciliationRuns);
+
+module.exports = router;
@@ -1,17 +1,38 @@
 const express = require("express");
 const router = express.Router();
-const cors = require("cors");  // Import cors for route-level CORS handling
-
-// Configure all routes to have wide open CORS
-const openCors = cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: '*',
-  credentials: true
-});
-
-// Apply openCors to all routes
-router.use(openCors);
+const adminAuth = require("../middleware/adminAuth");  // Refunds need the admin API key or a dashboard session
+const { merchantCors, publicCors } = require("../middleware/corsPolicy");  // CORS policies per group of endpoints
+const idempotency = require("../middleware/idempotency");  // Replays order creation retries with the same Idempotency-Key
+const rateLimit = require("../middleware/rateLimit");  // Limits order creation per IP, domain and mobile number
+const validateRequest = require("../middleware/validateRequest");  // Checks parameters against the route's schema
+const schemas = require("../schemas/phonepeSchemas");
+
+// Endpoints storefronts call from the browser to start a payment: only merchant origins
+// (and CORS_ALLOWED_ORIGINS) may call them
+router.use([
+  "/create-order",
+  "/create-order-token",
+  "/create-unique-order",
+  "/create-order-get",
+  "/process-payment",
+  "/checkout-payment"
+], merchantCors);
+
+// Status endpoints and the pages shoppers return to: readable from any origin, GET only
+router.use([
+  "/status",
+  "/payment-failed",
+  "/order-status",
+  "/unique-status",
+  "/multi-status",
+  "/payment-status",
+  "/payment-cancelled",
+  "/payment-error"
+], publicCors);
+
+// The PhonePe webhook and the refund endpoints are server-to-server and send no CORS
+// headers, so browsers on other sites can't call them. Refunds also require admin
+// authentication; reconciliation runs are an admin endpoint (routes/adminRoutes.js)
 
 const { 
   createOrder,           // Creates a payment order with option for iframe or redirect
@@ -29,62 +50,82 @@ const {
   handlePaymentStatus,   // Handles payment status and redirects based on outcome
   handlePaymentCancelled, // Handles payment cancellations
   processCheckoutPayment, // Handles checkout payments
-  showPaymentError      // Displays payment error page
+  showPaymentError,     // Displays payment error page
+  // Refund functions
+  initiateRefund,        // Initiates a full or partial refund
+  getRefundStatus        // Checks refund status by merchant refund ID
 } = require("../controllers/phonepeController");
 
 // Standard payment flow endpoints
 // POST /api/phonepay/create-order - Creates a new payment order
-router.post("/create-order", createOrder);
+router.post("/create-order", validateRequest(schemas.createOrder), idempotency("create-order"), createOrder);
 
 // POST /api/phonepay/create-order-token - Creates a payment token for client integration
-router.post("/create-order-token", createOrderToken);
+router.post("/create-order-token", validateRequest(schemas.createOrderToken), createOrderToken);
 
 // GET /api/phonepay/status - Checks payment status and redirects accordingly
-router.get("/status", getStatus);
+router.get("/status", validateRequest(schemas.getStatus), getStatus);
 
 // GET /api/phonepay/payment-failed - Handles failed payment redirection
-router.get("/payment-failed", handlePaymentFailed);
+router.get("/payment-failed", validateRequest(schemas.paymentFailed, {
+  redirect: () => "/?status=failed&code=unknown"
+}), handlePaymentFailed);
 
 // GET /api/phonepay/order-status/:merchantOrderId - Gets detailed order status
-router.get("/order-status/:merchantOrderId", getOrderStatus);
+router.get("/order-status/:merchantOrderId", validateRequest(schemas.orderStatus), getOrderStatus);
 
 // PhonePe Webhook endpoint
 // POST /api/phonepay/notify - Receives payment notifications from PhonePe
+// (validated inside the handler, after the Authorization header is checked)
 router.post("/notify", handleWebhook);
 
 // Unique payment flow endpoints (simplified one-off payments)
 // POST /api/phonepay/create-unique-order - Creates a unique payment order
-router.post("/create-unique-order", createUniqueOrder);
+router.post("/create-unique-order", rateLimit("create-unique-order"), validateRequest(schemas.createUniqueOrder), idempotency("create-unique-order"), createUniqueOrder);
 
 // GET /api/phonepay/unique-status - Handles status updates for unique payment flow
-router.get("/unique-status", handleUniqueStatus);
+router.get("/unique-status", validateRequest(schemas.flowStatus, {
+  redirect: (error) => `/upp?status=failed&details=${encodeURIComponent(error.message)}`
+}), handleUniqueStatus);
 
 // Multi-payment flow endpoints (supports GET requests for easy integration)
 // GET /api/phonepay/create-order-get - Creates order via GET (for sharable links)
-router.get("/create-order-get", createOrderGet);
+router.get("/create-order-get", rateLimit("create-order-get"), validateRequest(schemas.createOrderGet, {
+  redirect: (error) => `/multipayment?status=failed&details=${encodeURIComponent(error.message)}`
+}), createOrderGet);
 
 // GET /api/phonepay/multi-status - Handles status for multi-payment flow
-router.get("/multi-status", handleMultiStatus);
+router.get("/multi-status", validateRequest(schemas.flowStatus, {
+  redirect: (error) => `/multipayment?status=failed&details=${encodeURIComponent(error.message)}`
+}), handleMultiStatus);
 
 // New routes for the custom payment flow
 // GET /api/phonepay/process-payment - Processes payment data from frontend
-router.get("/process-payment", processPaymentRequest);
+router.get("/process-payment", rateLimit("process-payment"), validateRequest(schemas.processPayment, { negotiate: true }), idempotency("process-payment"), processPaymentRequest);
 
 // GET /api/phonepay/payment-status - Handles payment status and redirects user accordingly
-router.get("/payment-status", handlePaymentStatus);
+router.get("/payment-status", validateRequest(schemas.paymentStatus), handlePaymentStatus);
 
 // GET /api/phonepay/payment-cancelled - Handles payment cancellations
-router.get("/payment-cancelled", handlePaymentCancelled);
+router.get("/payment-cancelled", validateRequest(schemas.paymentCancelled, {
+  redirect: (error) => `/api/phonepay/payment-error?reason=${encodeURIComponent(error.message)}`
+}), handlePaymentCancelled);
 
 // Checkout payment integration endpoint
 // POST /api/phonepay/checkout-payment - Processes payment from checkout page
-router.post("/checkout-payment", processCheckoutPayment);
+router.post("/checkout-payment", validateRequest(schemas.checkoutPayment), idempotency("checkout-payment"), processCheckoutPayment);
 
 // Error handling page
 // GET /api/phonepay/payment-error - Shows payment error page
-router.get("/payment-error", showPaymentError);
+router.get("/payment-error", validateRequest(schemas.paymentError, {
+  redirect: () => "/api/phonepay/payment-error"
+}), showPaymentError);
+
+// Refund endpoints (admin only, see middleware/adminAuth)
+// POST /api/phonepay/refund - Initiates a full or partial refund for a successful payment
+router.post("/refund", adminAuth, validateRequest(schemas.refund), initiateRefund);
 
-// Add OPTIONS handling for all routes to support preflight requests
-router.options("*", cors());
+// GET /api/phonepay/refund-status/:merchantRefundId - Checks refund status with PhonePe
+router.get("/refund-status/:merchantRefundId", adminAuth, validateRequest(schemas.refundStatus), getRefundStatus);
 
 module.exports = router;
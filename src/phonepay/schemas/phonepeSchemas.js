@@ -0,0 +1,209 @@
+const { parseAmount } = require('../../common/utils/money');
+
+/**
+ * Request schemas for the payment routes (phonepeRoutes.js and /process-payment)
+ * and the admin list and reconciliation routes (adminRoutes.js)
+ *
+ * See utils/validation for the rule types. Amount bounds are in paise.
+ */
+
+// Smallest payment PhonePe accepts: ₹1
+const MIN_PAYMENT_AMOUNT = 100;
+
+// Largest single payment, in rupees (PAYMENT_MAX_AMOUNT, default ₹1,00,000)
+const MAX_PAYMENT_AMOUNT = parseAmount(process.env.PAYMENT_MAX_AMOUNT || '') || parseAmount('100000');
+
+const paymentAmount = { type: 'amount', required: true, min: MIN_PAYMENT_AMOUNT, max: MAX_PAYMENT_AMOUNT };
+const customerName = { type: 'string', maxLength: 100 };
+const mobile = { type: 'mobile' };
+const domain = { type: 'domain', required: true };
+const txnId = { type: 'orderId', required: true };
+
+// Signed payment intent fields, checked by paymentIntentService
+const intentFields = {
+  timestamp: { type: 'string', maxLength: 20, pattern: /^\d+$/ },
+  nonce: { type: 'string', maxLength: 64, pattern: /^[\w-]+$/ },
+  signature: { type: 'string', maxLength: 128, pattern: /^[a-fA-F0-9]+$/ }
+};
+
+// 'all' or a list of PhonePe payment mode configurations
+const paymentModes = {
+  type: 'custom',
+  check: (value) => value === 'all' || (Array.isArray(value) && value.length > 0 && value.every(mode => mode && typeof mode.type === 'string')),
+  code: 'INVALID_PAYMENT_MODES',
+  message: "enabledPaymentModes must be 'all' or a list of payment modes"
+};
+
+const createOrder = {
+  body: {
+    name: customerName,
+    mobileNumber: mobile,
+    amount: paymentAmount,
+    redirectMode: { type: 'enum', values: ['IFRAME', 'REDIRECT'], default: 'IFRAME' },
+    enabledPaymentModes: paymentModes
+  }
+};
+
+const createOrderToken = {
+  body: {
+    name: customerName,
+    mobileNumber: mobile,
+    amount: paymentAmount
+  }
+};
+
+const getStatus = {
+  query: { txnId }
+};
+
+const paymentFailed = {
+  query: {
+    code: { type: 'string', maxLength: 64, pattern: /^[\w.-]+$/ },
+    merchantOrderId: { type: 'orderId' },
+    transactionId: { type: 'string', maxLength: 64, pattern: /^[\w.-]+$/ }
+  }
+};
+
+const orderStatus = {
+  params: { merchantOrderId: { type: 'orderId', required: true } }
+};
+
+const webhook = {
+  body: {
+    event: { type: 'string', required: true, maxLength: 100 },
+    payload: { type: 'object', required: true }
+  }
+};
+
+// domain is optional in the /upp and /multipayment flows: it only selects the
+// branding of the pages, so it is not checked against the merchants
+const createUniqueOrder = {
+  body: {
+    name: { ...customerName, default: 'Guest' },
+    mobileNumber: mobile,
+    amount: paymentAmount,
+    domain: { type: 'domain' }
+  }
+};
+
+const createOrderGet = {
+  query: {
+    name: { ...customerName, default: 'Guest' },
+    mobile,
+    amount: paymentAmount,
+    domain: { type: 'domain' }
+  }
+};
+
+const flowStatus = {
+  query: { txnId }
+};
+
+const processPayment = {
+  query: {
+    domain,
+    amount: paymentAmount,
+    merchantOrderId: { type: 'orderId' },
+    name: customerName,
+    mobile,
+    responseType: { type: 'enum', values: ['json', 'html'] },
+    ...intentFields
+  }
+};
+
+const paymentStatus = {
+  query: { txnId }
+};
+
+const paymentCancelled = {
+  query: { txnId }
+};
+
+const checkoutPayment = {
+  body: {
+    domain,
+    amount: paymentAmount,
+    name: customerName,
+    mobile,
+    ...intentFields
+  }
+};
+
+const paymentError = {
+  query: {
+    reason: { type: 'string', maxLength: 200 },
+    txnId: { type: 'orderId' },
+    // Selects the branding of the page
+    domain: { type: 'domain' }
+  }
+};
+
+const refund = {
+  body: {
+    merchantOrderId: { type: 'orderId', required: true },
+    // Refunds can be as small as 1 paisa; the upper bound is the refundable amount
+    amount: { type: 'amount', min: 1 },
+    reason: { type: 'string', maxLength: 200 }
+  }
+};
+
+const refundStatus = {
+  params: { merchantRefundId: { type: 'orderId', required: true } }
+};
+
+const reconciliationRuns = {
+  query: { limit: { type: 'integer', min: 1, max: 50, default: 20 } }
+};
+
+// Page size of the admin list endpoints
+const pageLimit = { type: 'integer', min: 1, max: 200, default: 50 };
+
+// The other payment search filters are checked by adminController.parsePaymentFilters,
+// which reports all of them at once; status there is a comma separated list
+const adminPayments = {
+  query: {
+    domain: { type: 'domain' },
+    limit: pageLimit
+  }
+};
+
+const adminWebhookDeliveries = {
+  query: {
+    domain: { type: 'domain' },
+    orderId: { type: 'orderId' },
+    status: { type: 'enum', values: ['pending', 'delivered', 'failed'] },
+    limit: pageLimit
+  }
+};
+
+const adminFlaggedPayments = {
+  query: {
+    state: { type: 'enum', values: ['open', 'resolved', 'all'], default: 'open' },
+    limit: pageLimit
+  }
+};
+
+module.exports = {
+  MIN_PAYMENT_AMOUNT,
+  MAX_PAYMENT_AMOUNT,
+  createOrder,
+  createOrderToken,
+  getStatus,
+  paymentFailed,
+  orderStatus,
+  webhook,
+  createUniqueOrder,
+  createOrderGet,
+  flowStatus,
+  processPayment,
+  paymentStatus,
+  paymentCancelled,
+  checkoutPayment,
+  paymentError,
+  refund,
+  refundStatus,
+  reconciliationRuns,
+  adminPayments,
+  adminWebhookDeliveries,
+  adminFlaggedPayments
+};
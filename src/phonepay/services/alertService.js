@@ -0,0 +1,55 @@
+const { EventEmitter } = require('events');
+const axios = require('axios');
+const logger = require('../../common/utils/logger');
+
+// Optional endpoint (e.g. a chat or incident tool webhook) that receives every alert as JSON
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+const ALERT_TIMEOUT_MS = 5000;
+
+const emitter = new EventEmitter();
+
+/**
+ * Service for raising operational alerts that need a human to look at them
+ */
+const alertService = {
+  /**
+   * Raise an alert. It is logged, emitted to in-process listeners and posted
+   * to ALERT_WEBHOOK_URL when configured. Never throws.
+   *
+   * @param {String} type - Alert type (e.g. 'payment.amount_mismatch')
+   * @param {Object} details - Data describing the problem
+   * @returns {Promise<Object>} The alert that was raised
+   */
+  raise: async (type, details = {}) => {
+    const alert = { type, raisedAt: new Date().toISOString(), details };
+    logger.error(`ALERT ${type}`, { alert: type, details });
+
+    try {
+      emitter.emit('alert', alert);
+    } catch (error) {
+      logger.error('Alert listener failed', { alert: type, err: error });
+    }
+
+    if (ALERT_WEBHOOK_URL) {
+      try {
+        await axios.post(ALERT_WEBHOOK_URL, alert, { timeout: ALERT_TIMEOUT_MS });
+      } catch (error) {
+        logger.error('Failed to post alert to ALERT_WEBHOOK_URL', { alert: type, err: error });
+      }
+    }
+    return alert;
+  },
+
+  /**
+   * Subscribe to alerts raised in this process
+   *
+   * @param {Function} listener - Called with { type, raisedAt, details }
+   * @returns {Function} Unsubscribe function
+   */
+  onAlert: (listener) => {
+    emitter.on('alert', listener);
+    return () => emitter.off('alert', listener);
+  }
+};
+
+module.exports = alertService;
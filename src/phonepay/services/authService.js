@@ -1,5 +1,8 @@
 const axios = require('axios');
 const qs = require('querystring');
+const phonepeConfig = require('../config/phonepeConfig');
+const gatewayMetrics = require('../utils/gatewayMetrics');
+const logger = require('../../common/utils/logger').child({ component: 'authService' });
 
 /**
  * AuthService - Handles authentication with PhonePe API
@@ -16,6 +19,16 @@ class AuthService {
         this.retryDelay = 1000;       // Initial delay in ms (will increase exponentially)
     }
 
+    /**
+     * Whether a cached token can still be used (it expires more than 5 minutes from now)
+     * The 5-minute buffer ensures we don't use a token that's about to expire
+     *
+     * @returns {boolean}
+     */
+    hasValidToken() {
+        return Boolean(this.token && this.tokenExpiry && (this.tokenExpiry - 300) > Math.floor(Date.now() / 1000));
+    }
+
     /**
      * Gets a valid authentication token for PhonePe API calls
      * 
@@ -25,16 +38,15 @@ class AuthService {
     async getAuthToken(forceRefresh = false) {
         try {
             // Return existing token if it's still valid (with 5 minutes buffer) and not forced to refresh
-            // The 5-minute buffer ensures we don't use a token that's about to expire
-            if (!forceRefresh && this.token && this.tokenExpiry && (this.tokenExpiry - 300) > Math.floor(Date.now() / 1000)) {
-                console.log(`Using existing token, expires at: ${new Date(this.tokenExpiry * 1000).toISOString()}`);
+            if (!forceRefresh && this.hasValidToken()) {
+                logger.debug('Using cached auth token', { expiresAt: new Date(this.tokenExpiry * 1000) });
                 return this.token;
             }
 
-            // Always use production URL for PhonePe auth service
-            const baseUrl = 'https://api.phonepe.com/apis/identity-manager';
+            // Auth endpoint for the configured PhonePe environment (sandbox or production)
+            const authUrl = phonepeConfig.endpoints.auth;
 
-            console.log(`Requesting auth token from ${baseUrl}/v1/oauth/token with client_id: ${process.env.PHONEPE_CLIENT_ID?.substring(0, 5)}***`);
+            logger.info('Requesting auth token', { authUrl });
             
             // Check if required environment variables are set
             if (!process.env.PHONEPE_CLIENT_ID || !process.env.PHONEPE_CLIENT_SECRET) {
@@ -52,12 +64,12 @@ class AuthService {
                 grant_type: 'client_credentials'  // Standard OAuth flow for server-to-server auth
             };
 
-            console.log(`Auth request params: client_id: ${requestData.client_id.substring(0, 5)}***, client_version: ${clientVersion}`);
-            
             // Request new token from PhonePe auth server
             const response = await axios({
                 method: 'post',
-                url: `${baseUrl}/v1/oauth/token`,
+                url: authUrl,
+                // A hung identity endpoint would otherwise hold up every request waiting for a token
+                timeout: phonepeConfig.timeoutMs,
                 headers: {
                     'Content-Type': 'application/x-www-form-urlencoded'
                 },
@@ -73,20 +85,18 @@ class AuthService {
             this.token = response.data.access_token;
             this.tokenExpiry = response.data.expires_at;
             this.retryCount = 0; // Reset retry counter on success
+            gatewayMetrics.authTokenRefreshes.inc({ result: 'success' });
             
-            console.log(`Successfully obtained token, expires at: ${new Date(this.tokenExpiry * 1000).toISOString()}`);
+            logger.info('Obtained auth token', { expiresAt: new Date(this.tokenExpiry * 1000) });
             return this.token;
         } catch (error) {
-            console.error('Error fetching auth token:');
+            // The error is logged without its request config, which holds the client secret
+            logger.error('Error fetching auth token', { err: error });
+            gatewayMetrics.authTokenRefreshes.inc({ result: 'failure' });
             if (error.response) {
-                // The request was made and the server responded with a status code
-                console.error('Response status:', error.response.status);
-                console.error('Response headers:', JSON.stringify(error.response.headers));
-                console.error('Response data:', JSON.stringify(error.response.data));
-                
                 // If token is expired or rejected (401), retry with exponential backoff
                 if (error.response.status === 401 && this.retryCount < this.maxRetries) {
-                    console.log(`Token might be expired. Attempt #${this.retryCount + 1} to refresh...`);
+                    logger.warn('Auth token request rejected, retrying', { attempt: this.retryCount + 1 });
                     this.retryCount++;
                     
                     // Implement exponential backoff retry logic
@@ -96,14 +106,7 @@ class AuthService {
                     
                     return this.getAuthToken(true); // Force refresh token on retry
                 }
-            } else if (error.request) {
-                // The request was made but no response was received (network error)
-                console.error('No response received:', error.request);
-            } else {
-                // Something happened in setting up the request
-                console.error('Error message:', error.message);
             }
-            console.error('Error config:', JSON.stringify(error.config));
             throw new Error(`Failed to obtain auth token: ${error.response?.data?.message || error.message}`);
         }
     }
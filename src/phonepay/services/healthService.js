@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const authService = require('./authService');
+const reconciliationWorker = require('../workers/reconciliationWorker');
+const logger = require('../../common/utils/logger').child({ component: 'healthService' });
+
+// How long a readiness probe waits for a new PhonePe token
+const AUTH_CHECK_TIMEOUT_MS = 5000;
+
+// After a failed token request, probes report the failure for this long instead of
+// asking PhonePe again, so a load balancer polling /readyz can't flood the auth endpoint
+const AUTH_FAILURE_COOLDOWN_MS = 30 * 1000;
+
+// The reconciliation worker is considered stuck when its last run is older than this many intervals
+const STALE_RUN_INTERVALS = 3;
+
+const READY_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Token request shared by concurrent probes, and the last failure for the cooldown
+let pendingTokenCheck = null;
+let lastAuthFailure = null;
+
+/**
+ * Rejects after the given time, for racing against slow requests
+ */
+const timeout = (ms, message) => new Promise((resolve, reject) => {
+  setTimeout(() => reject(new Error(message)), ms).unref();
+});
+
+/**
+ * Service for the liveness and readiness probes
+ *
+ * Each check returns { status: 'ok' | 'fail', ...details }.
+ */
+const healthService = {
+  /**
+   * MongoDB connection state
+   *
+   * @returns {Object}
+   */
+  checkDatabase: () => {
+    const readyState = mongoose.connection.readyState;
+    return {
+      status: readyState === 1 ? 'ok' : 'fail',
+      state: READY_STATES[readyState] || 'unknown'
+    };
+  },
+
+  /**
+   * Whether a PhonePe token is cached, or else whether a new one can be obtained
+   *
+   * @returns {Promise<Object>}
+   */
+  checkPhonePeAuth: async () => {
+    if (authService.hasValidToken()) {
+      return {
+        status: 'ok',
+        cached: true,
+        expiresAt: new Date(authService.tokenExpiry * 1000)
+      };
+    }
+
+    if (lastAuthFailure && Date.now() - lastAuthFailure.at < AUTH_FAILURE_COOLDOWN_MS) {
+      return {
+        status: 'fail',
+        cached: false,
+        error: lastAuthFailure.message,
+        checkedAt: new Date(lastAuthFailure.at)
+      };
+    }
+
+    if (!pendingTokenCheck) {
+      pendingTokenCheck = Promise.race([
+        authService.getAuthToken(),
+        timeout(AUTH_CHECK_TIMEOUT_MS, `No token after ${AUTH_CHECK_TIMEOUT_MS}ms`)
+      ]).finally(() => {
+        pendingTokenCheck = null;
+      });
+    }
+
+    try {
+      await pendingTokenCheck;
+      lastAuthFailure = null;
+      return {
+        status: 'ok',
+        cached: false,
+        expiresAt: authService.tokenExpiry ? new Date(authService.tokenExpiry * 1000) : null
+      };
+    } catch (error) {
+      logger.warn('Readiness check could not obtain a PhonePe token', { err: error });
+      lastAuthFailure = { at: Date.now(), message: error.message };
+      return {
+        status: 'fail',
+        cached: false,
+        error: error.message,
+        checkedAt: new Date(lastAuthFailure.at)
+      };
+    }
+  },
+
+  /**
+   * Whether the reconciliation worker is running and has finished a run recently
+   *
+   * @returns {Object}
+   */
+  checkReconciliation: () => {
+    const worker = reconciliationWorker.getStatus();
+    if (!worker.enabled) {
+      return { status: 'ok', enabled: false };
+    }
+    if (!worker.scheduled) {
+      return { status: 'fail', enabled: true, error: 'Worker is not running' };
+    }
+
+    const now = Date.now();
+    const staleAfterMs = worker.intervalMs * STALE_RUN_INTERVALS;
+    const lastRun = worker.lastRun;
+    const details = {
+      enabled: true,
+      intervalMs: worker.intervalMs,
+      lastRun: lastRun ? {
+        id: lastRun.id,
+        finishedAt: lastRun.finishedAt,
+        skipped: lastRun.skipped,
+        checked: lastRun.checked,
+        errors: lastRun.errors,
+        message: lastRun.message
+      } : null
+    };
+
+    if (!lastRun) {
+      // No run yet: fine until the first runs are overdue
+      if (now - worker.startedAt.getTime() < staleAfterMs) {
+        return { status: 'ok', ...details };
+      }
+      return { status: 'fail', ...details, error: 'No run finished since start' };
+    }
+    if (!worker.running && now - lastRun.finishedAt.getTime() > staleAfterMs) {
+      return { status: 'fail', ...details, error: 'Last run is too old' };
+    }
+    if (!lastRun.skipped && lastRun.message) {
+      return { status: 'fail', ...details, error: 'Last run failed' };
+    }
+    return { status: 'ok', ...details };
+  },
+
+  /**
+   * Runs all readiness checks
+   *
+   * @returns {Promise<Object>} - { ready, checks: { database, phonepeAuth, reconciliation } }
+   */
+  getReadiness: async () => {
+    const checks = {
+      database: healthService.checkDatabase(),
+      phonepeAuth: await healthService.checkPhonePeAuth(),
+      reconciliation: healthService.checkReconciliation()
+    };
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+    return { ready, checks };
+  }
+};
+
+module.exports = healthService;
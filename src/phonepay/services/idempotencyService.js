@@ -0,0 +1,110 @@
+const IdempotencyRecord = require('../../models/IdempotencyRecord');
+const logger = require('../../common/utils/logger');
+
+// A 'processing' record older than this belongs to a request that died; let a retry take it over
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// How often waitForKey looks at the record again
+const WAIT_POLL_INTERVAL_MS = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Service for handling idempotency key database operations
+ *
+ * Keys are identified by { scope, domain, key }: the endpoint name, the merchant
+ * domain of the request ('' when the endpoint has none) and the key itself.
+ */
+const idempotencyService = {
+  /**
+   * Claim an idempotency key for a new request, or return the existing record
+   *
+   * @param {Object} id - { scope, domain, key }
+   * @param {String} fingerprint - Hash of the request parameters
+   * @returns {Promise<Object>} { claimed: true } for a new key, otherwise { claimed: false, record }
+   */
+  claimKey: async ({ scope, domain, key }, fingerprint) => {
+    try {
+      await IdempotencyRecord.create({ scope, domain, key, fingerprint });
+      return { claimed: true };
+    } catch (error) {
+      if (error.code !== 11000) {
+        logger.error('Error claiming idempotency key', { err: error });
+        throw error;
+      }
+    }
+
+    // Key already used: take over an abandoned request with the same parameters, otherwise report it
+    const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS);
+    const takenOver = await IdempotencyRecord.findOneAndUpdate(
+      { scope, domain, key, fingerprint, state: 'processing', updatedAt: { $lt: staleBefore } },
+      { $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    if (takenOver) {
+      return { claimed: true };
+    }
+
+    const record = await IdempotencyRecord.findOne({ scope, domain, key });
+    return { claimed: false, record };
+  },
+
+  /**
+   * Wait for the request that claimed a key to finish
+   *
+   * @param {Object} id - { scope, domain, key }
+   * @param {Number} timeoutMs - How long to wait at most
+   * @returns {Promise<Object|null>} The record once it is completed, or still processing
+   *   after timeoutMs; null if the request failed and released the key
+   */
+  waitForKey: async ({ scope, domain, key }, timeoutMs) => {
+    try {
+      const deadline = Date.now() + timeoutMs;
+      let record = await IdempotencyRecord.findOne({ scope, domain, key });
+      while (record && record.state === 'processing' && Date.now() < deadline) {
+        await sleep(WAIT_POLL_INTERVAL_MS);
+        record = await IdempotencyRecord.findOne({ scope, domain, key });
+      }
+      return record;
+    } catch (error) {
+      logger.error('Error waiting for idempotency key', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Store the response of the request that claimed a key
+   *
+   * @param {Object} id - { scope, domain, key }
+   * @param {Object} response - { statusCode, location, contentType, body }
+   * @returns {Promise<void>}
+   */
+  completeKey: async ({ scope, domain, key }, response) => {
+    try {
+      await IdempotencyRecord.updateOne(
+        { scope, domain, key },
+        { $set: { state: 'completed', response, updatedAt: new Date() } }
+      );
+    } catch (error) {
+      logger.error('Error storing idempotent response', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Release a key whose request failed, so the client can retry it
+   *
+   * @param {Object} id - { scope, domain, key }
+   * @returns {Promise<void>}
+   */
+  releaseKey: async ({ scope, domain, key }) => {
+    try {
+      await IdempotencyRecord.deleteOne({ scope, domain, key, state: 'processing' });
+    } catch (error) {
+      logger.error('Error releasing idempotency key', { err: error });
+      throw error;
+    }
+  }
+};
+
+module.exports = idempotencyService;
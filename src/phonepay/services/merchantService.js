@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Merchant = require('../../models/Merchant');
+const MerchantValidationError = require('../errors/MerchantValidationError');
+const { URL_FIELDS, normalizeDomain, isAllowedRedirectUrl } = require('../utils/merchantUrls');
+const { BRANDING_FIELDS, validateBranding, resolveTheme } = require('../utils/branding');
+const logger = require('../../common/utils/logger');
+
+// Fields admins may set when creating or editing a merchant
+const EDITABLE_FIELDS = ['domain', 'displayName', 'allowedHosts', 'successUrl', 'failureUrl', 'cancelUrl', 'callbackUrl', 'requireSignature', 'active'];
+
+/**
+ * Checks a merchant entry before it is saved
+ *
+ * @param {Object} merchant - Merchant document with the changes applied
+ * @throws {MerchantValidationError} If the domain is missing, a redirect URL is not allowed
+ *   or a branding value is invalid
+ */
+const validateMerchant = (merchant) => {
+  const problems = [];
+
+  if (!merchant.domain) {
+    problems.push('domain is required');
+  }
+  // The callback URL follows the same rules as the redirect URLs
+  [...Object.values(URL_FIELDS), 'callbackUrl'].forEach(field => {
+    if (merchant[field] && !isAllowedRedirectUrl(merchant, merchant[field])) {
+      problems.push(`${field} must be an https URL on ${merchant.domain} or one of its allowedHosts`);
+    }
+  });
+  problems.push(...validateBranding(merchant.branding));
+
+  if (problems.length > 0) {
+    throw new MerchantValidationError('Invalid merchant configuration', problems);
+  }
+};
+
+/**
+ * Copies the editable fields present in the input onto a merchant document.
+ * Branding values are merged one by one, so an edit can change just the logo;
+ * null or '' clears a value.
+ */
+const applyFields = (merchant, merchantData) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (merchantData[field] !== undefined) {
+      merchant[field] = merchantData[field];
+    }
+  });
+  const branding = merchantData.branding || {};
+  BRANDING_FIELDS.forEach(field => {
+    if (branding[field] !== undefined) {
+      merchant.set(`branding.${field}`, branding[field] ? String(branding[field]).trim() : null);
+    }
+  });
+  merchant.domain = normalizeDomain(merchant.domain);
+  merchant.allowedHosts = (merchant.allowedHosts || []).map(normalizeDomain).filter(Boolean);
+};
+
+/**
+ * Service for handling merchant (client domain) database operations
+ */
+const merchantService = {
+  /**
+   * Create a new merchant entry
+   *
+   * @param {Object} merchantData - Merchant fields (domain, displayName, allowedHosts, successUrl, failureUrl, cancelUrl, callbackUrl, requireSignature, active, branding)
+   * @returns {Promise<Object>} Created merchant document
+   * @throws {MerchantValidationError} If the entry is invalid or the domain already exists
+   */
+  createMerchant: async (merchantData) => {
+    try {
+      const merchant = new Merchant();
+      applyFields(merchant, merchantData);
+      validateMerchant(merchant);
+
+      if (await Merchant.exists({ domain: merchant.domain })) {
+        throw new MerchantValidationError('Merchant already exists', [`domain ${merchant.domain} is already configured`]);
+      }
+
+      const savedMerchant = await merchant.save();
+      return savedMerchant;
+    } catch (error) {
+      logger.error('Error creating merchant', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Edit an existing merchant entry
+   *
+   * @param {String} domain - Domain of the merchant to edit
+   * @param {Object} merchantData - Fields to change
+   * @returns {Promise<Object|null>} Updated merchant document, or null if not found
+   * @throws {MerchantValidationError} If the resulting entry is invalid
+   */
+  updateMerchant: async (domain, merchantData) => {
+    try {
+      const merchant = await Merchant.findOne({ domain: normalizeDomain(domain) });
+      if (!merchant) {
+        return null;
+      }
+
+      // The domain is the merchant's key; renaming it would orphan existing payments
+      applyFields(merchant, { ...merchantData, domain: merchant.domain });
+      validateMerchant(merchant);
+
+      const savedMerchant = await merchant.save();
+      return savedMerchant;
+    } catch (error) {
+      logger.error('Error updating merchant', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Get a merchant by domain
+   *
+   * @param {String} domain - Client domain
+   * @returns {Promise<Object|null>} Merchant document
+   */
+  getMerchantByDomain: async (domain) => {
+    try {
+      const merchant = await Merchant.findOne({ domain: normalizeDomain(domain) });
+      return merchant;
+    } catch (error) {
+      logger.error('Error fetching merchant', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Get an active merchant by domain. Unknown and inactive domains return null.
+   *
+   * @param {String} domain - Client domain
+   * @returns {Promise<Object|null>} Merchant document
+   */
+  getActiveMerchant: async (domain) => {
+    const normalizedDomain = normalizeDomain(domain);
+    if (!normalizedDomain) {
+      return null;
+    }
+    try {
+      const merchant = await Merchant.findOne({ domain: normalizedDomain, active: true });
+      return merchant;
+    } catch (error) {
+      logger.error('Error fetching active merchant', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Get the theme of the hosted payment pages for a domain (see utils/branding).
+   * Unknown and inactive domains get the default theme, and so does every domain
+   * while the database is unavailable, so the pages still load.
+   *
+   * @param {String} domain - Client domain
+   * @returns {Promise<Object>} Resolved theme
+   */
+  getTheme: async (domain) => {
+    const normalizedDomain = normalizeDomain(domain);
+    if (!normalizedDomain || mongoose.connection.readyState !== 1) {
+      return resolveTheme(null);
+    }
+    try {
+      const merchant = await Merchant.findOne({ domain: normalizedDomain, active: true }, { domain: 1, displayName: 1, branding: 1 }).lean();
+      return resolveTheme(merchant);
+    } catch (error) {
+      logger.error('Error fetching merchant branding, using the default theme', { err: error });
+      return resolveTheme(null);
+    }
+  },
+
+  /**
+   * Get the payment intent signing secret of a merchant
+   *
+   * @param {String} domain - Client domain
+   * @returns {Promise<String|null>} Signing secret, or null if none is set
+   */
+  getSigningSecret: async (domain) => {
+    try {
+      const merchant = await Merchant.findOne({ domain: normalizeDomain(domain) }).select('+signingSecret');
+      return merchant ? merchant.signingSecret : null;
+    } catch (error) {
+      logger.error('Error fetching merchant signing secret', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Generate a new payment intent signing secret for a merchant.
+   * Intents signed with the previous secret stop being accepted immediately.
+   *
+   * @param {String} domain - Client domain
+   * @returns {Promise<String|null>} The new secret, or null if the merchant does not exist
+   */
+  rotateSigningSecret: async (domain) => {
+    try {
+      const signingSecret = crypto.randomBytes(32).toString('hex');
+      const merchant = await Merchant.findOneAndUpdate(
+        { domain: normalizeDomain(domain) },
+        { $set: { signingSecret, updatedAt: new Date() } },
+        { new: true }
+      );
+      return merchant ? signingSecret : null;
+    } catch (error) {
+      logger.error('Error rotating merchant signing secret', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * List the hosts of all active merchants (domain and allowedHosts), e.g. to build the CORS allowlist
+   *
+   * @returns {Promise<Array>} Plain objects with domain and allowedHosts
+   */
+  listActiveMerchantHosts: async () => {
+    try {
+      const merchants = await Merchant.find({ active: true }, { domain: 1, allowedHosts: 1 }).lean();
+      return merchants;
+    } catch (error) {
+      logger.error('Error listing active merchant hosts', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * List all merchants, sorted by domain
+   *
+   * @returns {Promise<Array>} Merchant documents
+   */
+  listMerchants: async () => {
+    try {
+      const merchants = await Merchant.find().sort({ domain: 1 });
+      return merchants;
+    } catch (error) {
+      logger.error('Error listing merchants', { err: error });
+      throw error;
+    }
+  }
+};
+
+module.exports = merchantService;
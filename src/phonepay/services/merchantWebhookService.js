@@ -0,0 +1,229 @@
+const axios = require('axios');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const merchantService = require('./merchantService');
+const { isTerminalStatus } = require('../utils/statusMapper');
+const { signWebhookBody } = require('../utils/webhookSignature');
+const logger = require('../../common/utils/logger');
+
+// Delivery settings (environment variables)
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;         // Request timeout
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 10;        // Attempts before giving up
+const BASE_BACKOFF_MS = 30 * 1000;                                                // First retry after 30 seconds
+const MAX_BACKOFF_MS = 60 * 60 * 1000;                                            // Never wait more than an hour
+
+// While an attempt runs the event is leased, so the worker and an immediate send don't both post it
+const LEASE_MS = TIMEOUT_MS + 30 * 1000;
+
+/**
+ * Delay before the next attempt after a failed one
+ *
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in ms
+ */
+const backoffDelay = (attempts) => Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+
+/**
+ * Builds the JSON event sent for a settled payment
+ */
+const buildPaymentEvent = (eventId, payment) => {
+  const details = payment.paymentDetails || {};
+  return {
+    id: eventId,
+    type: `payment.${payment.status}`,
+    createdAt: new Date().toISOString(),
+    data: {
+      orderId: payment.orderId,
+      domain: payment.domainName,
+      // Minor units (paise), like PhonePe's own amounts
+      amount: payment.amount,
+      currency: payment.currency || 'INR',
+      status: payment.status,
+      transactionId: details.transactionId || null,
+      paymentMode: details.paymentMode || null,
+      expiresAt: payment.expiresAt || null,
+      updatedAt: payment.updatedAt
+    }
+  };
+};
+
+/**
+ * Service for sending signed payment events to merchant callback URLs
+ */
+const merchantWebhookService = {
+  /**
+   * Record a payment event for the merchant's callback URL and try to send it right away.
+   * Does nothing for non-terminal statuses, merchants without a callback URL and events
+   * that were already recorded. Never throws, so it cannot break a status update.
+   *
+   * @param {Object} payment - Payment document after its status change
+   * @returns {Promise<Object|null>} Created delivery, or null if no event was recorded
+   */
+  enqueuePaymentEvent: async (payment) => {
+    try {
+      if (!isTerminalStatus(payment.status)) {
+        return null;
+      }
+
+      const merchant = await merchantService.getMerchantByDomain(payment.domainName);
+      if (!merchant || !merchant.callbackUrl) {
+        return null;
+      }
+
+      const eventId = `${payment.orderId}:${payment.status}`;
+      let delivery;
+      try {
+        delivery = await WebhookDelivery.create({
+          eventId,
+          eventType: `payment.${payment.status}`,
+          domain: merchant.domain,
+          orderId: payment.orderId,
+          url: merchant.callbackUrl,
+          payload: buildPaymentEvent(eventId, payment)
+        });
+      } catch (error) {
+        // The same settlement was already recorded (e.g. webhook and redirect both applied it)
+        if (error.code === 11000) {
+          return null;
+        }
+        throw error;
+      }
+
+      logger.info('Merchant webhook queued', { eventId, orderId: payment.orderId, url: merchant.callbackUrl });
+      merchantWebhookService.deliver(delivery._id).catch(error => {
+        logger.error('Immediate delivery of merchant webhook failed', { eventId, err: error });
+      });
+      return delivery;
+    } catch (error) {
+      logger.error('Error queueing merchant webhook', { orderId: payment.orderId, err: error });
+      return null;
+    }
+  },
+
+  /**
+   * Make one delivery attempt for a pending event, if it is due and not leased by another attempt
+   *
+   * @param {ObjectId} deliveryId - WebhookDelivery _id
+   * @returns {Promise<Object|null>} Updated delivery, or null if it was not due
+   */
+  deliver: async (deliveryId) => {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+      { new: true }
+    );
+    if (!delivery) {
+      return null;
+    }
+
+    const attempt = { attemptedAt: now, responseCode: null, error: null, durationMs: 0 };
+    try {
+      const signingSecret = await merchantService.getSigningSecret(delivery.domain);
+      if (!signingSecret) {
+        throw new Error('Merchant has no signing secret configured');
+      }
+
+      const body = JSON.stringify(delivery.payload);
+      const response = await axios.post(delivery.url, body, {
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Signature': signWebhookBody(body, signingSecret)
+        }
+      });
+      attempt.responseCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+    attempt.durationMs = Date.now() - now.getTime();
+
+    const attempts = delivery.attempts + 1;
+    const update = {
+      attempts,
+      lastResponseCode: attempt.responseCode,
+      lastError: attempt.error,
+      updatedAt: new Date()
+    };
+    if (!attempt.error) {
+      update.status = 'delivered';
+      update.nextAttemptAt = null;
+    } else if (attempts >= MAX_ATTEMPTS) {
+      update.status = 'failed';
+      update.nextAttemptAt = null;
+    } else {
+      update.nextAttemptAt = new Date(Date.now() + backoffDelay(attempts));
+    }
+
+    const updatedDelivery = await WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { $set: update, $push: { attemptLog: attempt } },
+      { new: true }
+    );
+
+    if (attempt.error) {
+      logger.warn(update.status === 'failed' ? 'Merchant webhook failed, giving up' : 'Merchant webhook attempt failed', {
+        eventId: delivery.eventId,
+        attempt: attempts,
+        error: attempt.error
+      });
+    } else {
+      logger.info('Merchant webhook delivered', { eventId: delivery.eventId, responseCode: attempt.responseCode });
+    }
+    return updatedDelivery;
+  },
+
+  /**
+   * Find pending events whose next attempt is due
+   *
+   * @param {Date} now - Current time
+   * @param {Number} limit - Maximum number of events to return
+   * @returns {Promise<Array>} WebhookDelivery documents, most overdue first
+   */
+  findDueDeliveries: async (now, limit) => {
+    try {
+      const deliveries = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit);
+      return deliveries;
+    } catch (error) {
+      logger.error('Error fetching due merchant webhooks', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * List delivery log entries, newest first
+   *
+   * @param {Object} filters
+   * @param {String} filters.domain - Only events for this merchant domain
+   * @param {String} filters.orderId - Only events for this order
+   * @param {String} filters.status - Only events with this delivery status
+   * @param {Number} filters.limit - Maximum number of entries
+   * @returns {Promise<Array>} WebhookDelivery documents
+   */
+  listDeliveries: async ({ domain, orderId, status, limit = 50 } = {}) => {
+    try {
+      const query = {};
+      if (domain) query.domain = domain;
+      if (orderId) query.orderId = orderId;
+      if (status) query.status = status;
+
+      const deliveries = await WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit);
+      return deliveries;
+    } catch (error) {
+      logger.error('Error listing merchant webhooks', { err: error });
+      throw error;
+    }
+  }
+};
+
+module.exports = merchantWebhookService;
@@ -0,0 +1,59 @@
+const PaymentEvent = require('../../models/PaymentEvent');
+const logger = require('../../common/utils/logger');
+
+/**
+ * Service for the payment audit trail (PaymentEvent)
+ */
+const paymentEventService = {
+  /**
+   * Append an event to a payment's timeline. Never throws: a failure to write
+   * the audit trail is logged but must not break the payment flow.
+   *
+   * @param {Object} event
+   * @param {String} event.orderId - Order ID of the payment
+   * @param {String} event.source - 'created', 'redirect', 'webhook', 'cancel', 'poll', 'refund' or 'manual'
+   * @param {String} event.previousStatus - Status before the event
+   * @param {String} event.newStatus - Status the event asked for
+   * @param {Boolean} event.applied - Whether the status change was accepted
+   * @param {Object} event.payload - Raw payload that caused the event
+   * @param {String} event.actor - Who triggered it, when known
+   * @param {String} event.note - Short description
+   * @returns {Promise<Object|null>} Created event, or null if it could not be stored
+   */
+  recordEvent: async ({ orderId, source, previousStatus = null, newStatus = null, applied = true, payload = null, actor = null, note = null }) => {
+    try {
+      const event = await PaymentEvent.create({
+        orderId,
+        source,
+        previousStatus,
+        newStatus,
+        applied,
+        payload,
+        actor,
+        note
+      });
+      return event;
+    } catch (error) {
+      logger.error('Error recording payment event', { orderId, source, err: error });
+      return null;
+    }
+  },
+
+  /**
+   * Get the timeline of a payment
+   *
+   * @param {String} orderId - Order ID of the payment
+   * @returns {Promise<Array>} PaymentEvent documents, oldest first
+   */
+  getTimeline: async (orderId) => {
+    try {
+      const events = await PaymentEvent.find({ orderId }).sort({ createdAt: 1, _id: 1 });
+      return events;
+    } catch (error) {
+      logger.error('Error fetching payment timeline', { err: error });
+      throw error;
+    }
+  }
+};
+
+module.exports = paymentEventService;
@@ -0,0 +1,85 @@
+const PaymentIntentNonce = require('../../models/PaymentIntentNonce');
+const merchantService = require('./merchantService');
+const PaymentIntentError = require('../errors/PaymentIntentError');
+const logger = require('../../common/utils/logger');
+const { isValidSignature } = require('../utils/paymentIntent');
+
+// How long a signed intent stays valid (PAYMENT_INTENT_MAX_AGE_SECONDS, default 15 minutes)
+const MAX_AGE_SECONDS = parseInt(process.env.PAYMENT_INTENT_MAX_AGE_SECONDS, 10) || 900;
+
+// Tolerated clock difference for timestamps slightly in the future
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Service for verifying signed payment intents (see utils/paymentIntent)
+ */
+const paymentIntentService = {
+  /**
+   * Verify the signature, timestamp and nonce of a payment request.
+   * Unsigned requests pass unless the merchant requires signatures.
+   * The nonce is recorded, so a verified intent cannot be used again.
+   *
+   * @param {Object} merchant - Active merchant the payment is for
+   * @param {Object} params - Request parameters (domain, amount, merchantOrderId, timestamp, nonce, signature)
+   * @param {Number} now - Current time in ms
+   * @returns {Promise<Object>} { signed: true|false }
+   * @throws {PaymentIntentError} If the intent is rejected
+   */
+  verifyPaymentIntent: async (merchant, params, now = Date.now()) => {
+    if (!params.signature) {
+      if (merchant.requireSignature) {
+        throw new PaymentIntentError('This domain only accepts signed payment requests', {
+          code: 'SIGNATURE_REQUIRED'
+        });
+      }
+      return { signed: false };
+    }
+
+    const signingSecret = await merchantService.getSigningSecret(merchant.domain);
+    if (!signingSecret) {
+      throw new PaymentIntentError('No signing secret is configured for this domain', {
+        code: 'SIGNING_NOT_CONFIGURED',
+        httpStatus: 400
+      });
+    }
+
+    if (!params.timestamp || !params.nonce) {
+      throw new PaymentIntentError('Signed payment requests need a timestamp and a nonce', {
+        code: 'INVALID_INTENT',
+        httpStatus: 400
+      });
+    }
+
+    if (!isValidSignature(params, signingSecret)) {
+      throw new PaymentIntentError('Payment request signature does not match', {
+        code: 'INVALID_SIGNATURE'
+      });
+    }
+
+    // Check the age only after the signature, so the timestamp is known to be genuine
+    const ageSeconds = Math.floor(now / 1000) - parseInt(params.timestamp, 10);
+    if (isNaN(ageSeconds) || ageSeconds > MAX_AGE_SECONDS || ageSeconds < -CLOCK_SKEW_SECONDS) {
+      throw new PaymentIntentError('Payment request has expired, please start the payment again', {
+        code: 'INTENT_EXPIRED'
+      });
+    }
+
+    // Record the nonce; the unique index rejects a second use of the same signed intent
+    try {
+      await PaymentIntentNonce.create({ domain: merchant.domain, nonce: String(params.nonce) });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new PaymentIntentError('This payment link has already been used', {
+          code: 'NONCE_REUSED',
+          httpStatus: 409
+        });
+      }
+      logger.error('Error recording payment intent nonce', { err: error });
+      throw error;
+    }
+
+    return { signed: true };
+  }
+};
+
+module.exports = paymentIntentService;
@@ -1,4 +1,15 @@
 const Payment = require('../../models/Payment');
+const merchantWebhookService = require('./merchantWebhookService');
+const paymentEventService = require('./paymentEventService');
+const alertService = require('./alertService');
+const InvalidTransitionError = require('../errors/InvalidTransitionError');
+const AmountMismatchError = require('../errors/AmountMismatchError');
+const { allowedSourceStatuses } = require('../utils/paymentStateMachine');
+const gatewayMetrics = require('../utils/gatewayMetrics');
+const logger = require('../../common/utils/logger');
+
+// Fields the admin search can sort on
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'amount'];
 
 /**
  * Service for handling payment database operations
@@ -10,24 +21,51 @@ const paymentService = {
    * @param {Object} paymentData - Payment data object
    * @param {String} paymentData.orderId - Unique order ID
    * @param {String} paymentData.domainName - Domain name that originated the payment
-   * @param {Number} paymentData.amount - Payment amount in rupees
+   * @param {Number} paymentData.amount - Payment amount in minor units (paise)
+   * @param {String} paymentData.currency - ISO 4217 currency (default INR)
    * @param {Object} paymentData.paymentDetails - Additional payment details
+   * @param {Number} paymentData.expireAfter - Seconds until the PhonePe order expires
+   * @param {Date|Number} paymentData.expiresAt - Expiry time, when known (takes precedence over expireAfter)
+   * @param {String} paymentData.correlationId - Correlation ID for the logs (defaults to the current request's)
    * @returns {Promise<Object>} Created payment document
    */
   createPayment: async (paymentData) => {
     try {
+      let expiresAt = null;
+      if (paymentData.expiresAt) {
+        expiresAt = new Date(paymentData.expiresAt);
+      } else if (paymentData.expireAfter) {
+        expiresAt = new Date(Date.now() + paymentData.expireAfter * 1000);
+      }
+
       const payment = new Payment({
         orderId: paymentData.orderId,
         domainName: paymentData.domainName,
         amount: paymentData.amount,
+        currency: paymentData.currency,
+        correlationId: paymentData.correlationId || logger.getContext().correlationId || null,
         paymentDetails: paymentData.paymentDetails,
+        expiresAt,
         status: 'pending'
       });
 
       const savedPayment = await payment.save();
+      gatewayMetrics.paymentStatusChanges.inc({ status: savedPayment.status, source: 'created' });
+      await paymentEventService.recordEvent({
+        orderId: savedPayment.orderId,
+        source: 'created',
+        newStatus: savedPayment.status,
+        payload: {
+          domainName: savedPayment.domainName,
+          amount: savedPayment.amount,
+          currency: savedPayment.currency,
+          expiresAt: savedPayment.expiresAt,
+          paymentDetails: savedPayment.paymentDetails
+        }
+      });
       return savedPayment;
     } catch (error) {
-      console.error('Error creating payment record:', error);
+      logger.error('Error creating payment record', { err: error });
       throw error;
     }
   },
@@ -35,12 +73,30 @@ const paymentService = {
   /**
    * Update payment status by order ID
    * 
+   * The update only applies if the payment's current status may move to the
+   * new one (see paymentStateMachine). The check and the write happen in a
+   * single conditional update, so concurrent redirect, webhook and
+   * reconciliation updates cannot overwrite each other with an illegal status.
+   * 
+   * Every call is recorded as a PaymentEvent, including rejected ones.
+   * 
+   * A 'success' that comes with the amount PhonePe reported is only applied
+   * when that amount matches the stored one; otherwise the payment is flagged
+   * for review and keeps its current status.
+   * 
    * @param {String} orderId - The unique order ID
-   * @param {String} status - New payment status ('pending', 'success', 'failed', 'cancelled')
+   * @param {String} status - New payment status ('pending', 'success', 'failed', 'cancelled', 'expired', 'refunded')
    * @param {Object} additionalDetails - Any additional details to update
+   * @param {Object} event - What caused the update, for the payment's timeline
+   * @param {String} event.source - 'redirect', 'webhook', 'cancel', 'poll', 'refund' or 'manual'
+   * @param {Object} event.payload - Raw PhonePe response, webhook body or request data
+   * @param {String} event.actor - Who triggered the update, when known
+   * @param {Number} event.reportedAmount - Amount PhonePe reported for the order (paise), checked on 'success'
    * @returns {Promise<Object>} Updated payment document
+   * @throws {InvalidTransitionError} If the payment's current status cannot move to the new status
+   * @throws {AmountMismatchError} If PhonePe reported a different amount for a successful payment
    */
-  updatePaymentStatus: async (orderId, status, additionalDetails = {}) => {
+  updatePaymentStatus: async (orderId, status, additionalDetails = {}, event = {}) => {
     try {
       // Create update object with status and additional details
       const updateData = {
@@ -49,20 +105,179 @@ const paymentService = {
         ...additionalDetails
       };
       
-      // Update the payment record and return the updated document
-      const updatedPayment = await Payment.findOneAndUpdate(
-        { orderId },
+      // Update the payment record only if the transition is allowed (and, for a
+      // success, the charged amount matches); the pre-update status is read
+      // from the same write for the audit trail
+      const filter = { orderId, status: { $in: allowedSourceStatuses(status) } };
+      const checkAmount = status === 'success' && Number.isInteger(event.reportedAmount);
+      if (checkAmount) {
+        filter.amount = event.reportedAmount;
+        // A payment held for an amount mismatch only settles through the admin review
+        filter.$or = [{ 'mismatch.flagged': { $ne: true } }, { 'mismatch.resolvedAt': { $ne: null } }];
+      }
+      const previousPayment = await Payment.findOneAndUpdate(
+        filter,
         { $set: updateData },
-        { new: true }
+        { new: false, projection: { status: 1 } }
       );
       
-      if (!updatedPayment) {
-        throw new Error(`Payment with orderId ${orderId} not found`);
+      const timelineEvent = {
+        orderId,
+        source: event.source || 'manual',
+        newStatus: status,
+        payload: event.payload || null,
+        actor: event.actor || null
+      };
+      
+      if (!previousPayment) {
+        const existingPayment = await Payment.findOne({ orderId }, { status: 1, amount: 1, mismatch: 1 });
+        if (!existingPayment) {
+          throw new Error(`Payment with orderId ${orderId} not found`);
+        }
+        const openMismatch = existingPayment.mismatch?.flagged && !existingPayment.mismatch.resolvedAt;
+        if (checkAmount && (existingPayment.amount !== event.reportedAmount || openMismatch) &&
+            allowedSourceStatuses(status).includes(existingPayment.status)) {
+          await paymentService.flagAmountMismatch(existingPayment, event);
+          throw new AmountMismatchError(orderId, existingPayment.amount, event.reportedAmount);
+        }
+        // Keep what was received even though it can't change the status
+        await paymentEventService.recordEvent({
+          ...timelineEvent,
+          previousStatus: existingPayment.status,
+          applied: false,
+          note: `Rejected change from ${existingPayment.status} to ${status}`
+        });
+        throw new InvalidTransitionError(orderId, existingPayment.status, status);
       }
       
+      const updatedPayment = await Payment.findOne({ orderId });
+      if (previousPayment.status !== status) {
+        gatewayMetrics.paymentStatusChanges.inc({ status, source: timelineEvent.source });
+      }
+      await paymentEventService.recordEvent({
+        ...timelineEvent,
+        previousStatus: previousPayment.status
+      });
+      
+      // Tell the merchant once the payment has settled (no-op for pending and already notified statuses)
+      await merchantWebhookService.enqueuePaymentEvent(updatedPayment);
+      
       return updatedPayment;
     } catch (error) {
-      console.error('Error updating payment status:', error);
+      if (error instanceof InvalidTransitionError || error instanceof AmountMismatchError) {
+        logger.warn('Rejected payment status change', { orderId, status, reason: error.message });
+      } else {
+        logger.error('Error updating payment status', { err: error });
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Flag a payment whose PhonePe amount differs from the stored one, record it
+   * on the timeline and raise an alert (once per payment)
+   * 
+   * @param {Object} payment - Payment document (orderId, status, amount)
+   * @param {Object} event - Update that reported the amount (source, payload, actor, reportedAmount)
+   * @returns {Promise<Object|null>} Flagged payment, or null if it was already flagged
+   */
+  flagAmountMismatch: async (payment, event) => {
+    const now = new Date();
+    const flaggedPayment = await Payment.findOneAndUpdate(
+      { orderId: payment.orderId, 'mismatch.flagged': { $ne: true } },
+      {
+        $set: {
+          mismatch: {
+            flagged: true,
+            expectedAmount: payment.amount,
+            reportedAmount: event.reportedAmount,
+            source: event.source || 'manual',
+            detectedAt: now,
+            resolvedAt: null,
+            resolvedBy: null,
+            resolutionNote: null
+          },
+          updatedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    await paymentEventService.recordEvent({
+      orderId: payment.orderId,
+      source: event.source || 'manual',
+      previousStatus: payment.status,
+      newStatus: 'success',
+      applied: false,
+      payload: event.payload || null,
+      actor: event.actor || null,
+      note: `Amount mismatch: stored ${payment.amount} paise, PhonePe reported ${event.reportedAmount}`
+    });
+
+    if (flaggedPayment) {
+      await alertService.raise('payment.amount_mismatch', {
+        orderId: payment.orderId,
+        domain: flaggedPayment.domainName,
+        expectedAmount: payment.amount,
+        reportedAmount: event.reportedAmount,
+        source: event.source || 'manual'
+      });
+    }
+    return flaggedPayment;
+  },
+
+  /**
+   * List payments flagged for an amount mismatch, newest first
+   * 
+   * @param {Object} options
+   * @param {Boolean} options.resolved - true for reviewed payments, false for open ones, undefined for all
+   * @param {Number} options.limit - Maximum number of payments to return
+   * @returns {Promise<Array>} Payment documents
+   */
+  listFlaggedPayments: async ({ resolved, limit = 100 } = {}) => {
+    try {
+      const query = { 'mismatch.flagged': true };
+      if (resolved === true) {
+        query['mismatch.resolvedAt'] = { $ne: null };
+      } else if (resolved === false) {
+        query['mismatch.resolvedAt'] = null;
+      }
+      const payments = await Payment.find(query)
+        .sort({ 'mismatch.detectedAt': -1 })
+        .limit(limit);
+      return payments;
+    } catch (error) {
+      logger.error('Error fetching flagged payments', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Mark a flagged payment as reviewed
+   * 
+   * @param {String} orderId - The unique order ID
+   * @param {Object} resolution
+   * @param {String} resolution.resolvedBy - Admin who reviewed it
+   * @param {String} resolution.note - Outcome of the review
+   * @returns {Promise<Object|null>} Updated payment, or null if it has no open mismatch
+   */
+  resolveAmountMismatch: async (orderId, { resolvedBy, note }) => {
+    try {
+      const payment = await Payment.findOneAndUpdate(
+        { orderId, 'mismatch.flagged': true, 'mismatch.resolvedAt': null },
+        {
+          $set: {
+            'mismatch.resolvedAt': new Date(),
+            'mismatch.resolvedBy': resolvedBy || null,
+            'mismatch.resolutionNote': note || null,
+            updatedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+      return payment;
+    } catch (error) {
+      logger.error('Error resolving amount mismatch', { err: error });
       throw error;
     }
   },
@@ -78,7 +293,142 @@ const paymentService = {
       const payment = await Payment.findOne({ orderId });
       return payment;
     } catch (error) {
-      console.error('Error fetching payment:', error);
+      logger.error('Error fetching payment', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Search payments for the admin API
+   * 
+   * @param {Object} options
+   * @param {Object} options.filters - Parsed filters (see adminController.parsePaymentFilters)
+   * @param {String} options.sortField - 'createdAt', 'updatedAt' or 'amount'
+   * @param {Number} options.sortOrder - 1 (ascending) or -1 (descending)
+   * @param {Object} options.after - Decoded cursor ({ value, id }) of the last payment on the previous page
+   * @param {Number} options.limit - Page size
+   * @returns {Promise<Object>} { payments, hasMore }
+   */
+  searchPayments: async ({ filters = {}, sortField = 'createdAt', sortOrder = -1, after = null, limit = 50 }) => {
+    try {
+      if (!SORT_FIELDS.includes(sortField)) {
+        throw new Error(`Cannot sort payments by ${sortField}`);
+      }
+
+      const conditions = [];
+      if (filters.domain) {
+        conditions.push({ domainName: filters.domain });
+      }
+      if (filters.statuses && filters.statuses.length > 0) {
+        conditions.push({ status: { $in: filters.statuses } });
+      }
+      if (filters.from || filters.to) {
+        const createdAt = {};
+        if (filters.from) createdAt.$gte = filters.from;
+        if (filters.to) createdAt.$lte = filters.to;
+        conditions.push({ createdAt });
+      }
+      if (filters.minAmount !== undefined || filters.maxAmount !== undefined) {
+        const amount = {};
+        if (filters.minAmount !== undefined) amount.$gte = filters.minAmount;
+        if (filters.maxAmount !== undefined) amount.$lte = filters.maxAmount;
+        conditions.push({ amount });
+      }
+      if (filters.mobile) {
+        conditions.push({ 'paymentDetails.mobile': filters.mobile });
+      }
+      if (filters.paymentMode) {
+        conditions.push({ 'paymentDetails.paymentMode': filters.paymentMode });
+      }
+      if (filters.reference) {
+        // PhonePe transaction ID or bank UTR, wherever PhonePe reported it
+        conditions.push({
+          $or: [
+            { 'paymentDetails.transactionId': filters.reference },
+            { 'paymentDetails.providerReferenceId': filters.reference },
+            { 'paymentDetails.phonepeResponse.paymentDetails.transactionId': filters.reference },
+            { 'paymentDetails.phonepeResponse.paymentDetails.rail.utr': filters.reference }
+          ]
+        });
+      }
+
+      // Keyset pagination: continue strictly after the last payment of the previous page
+      if (after) {
+        const comparison = sortOrder === 1 ? '$gt' : '$lt';
+        conditions.push({
+          $or: [
+            { [sortField]: { [comparison]: after.value } },
+            { [sortField]: after.value, _id: { [comparison]: after.id } }
+          ]
+        });
+      }
+
+      const payments = await Payment.find(conditions.length > 0 ? { $and: conditions } : {})
+        .sort({ [sortField]: sortOrder, _id: sortOrder })
+        .limit(limit + 1);
+
+      return {
+        payments: payments.slice(0, limit),
+        hasMore: payments.length > limit
+      };
+    } catch (error) {
+      logger.error('Error searching payments', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Find pending payments that are due for a reconciliation status check
+   * 
+   * @param {Object} options
+   * @param {Date} options.createdBefore - Only payments created before this time
+   * @param {Date} options.now - Current time, used to respect each payment's backoff
+   * @param {Number} options.limit - Maximum number of payments to return
+   * @returns {Promise<Array>} Payment documents, oldest first
+   */
+  findPaymentsToReconcile: async ({ createdBefore, now, limit }) => {
+    try {
+      const payments = await Payment.find({
+        status: 'pending',
+        createdAt: { $lte: createdBefore },
+        // Payments flagged for an amount mismatch wait for manual review
+        'mismatch.flagged': { $ne: true },
+        $or: [
+          { 'reconciliation.nextCheckAt': null },
+          { 'reconciliation.nextCheckAt': { $lte: now } }
+        ]
+      })
+        .sort({ createdAt: 1 })
+        .limit(limit);
+      return payments;
+    } catch (error) {
+      logger.error('Error fetching payments to reconcile', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Update the reconciliation bookkeeping of a payment without touching its status
+   * 
+   * @param {String} orderId - The unique order ID
+   * @param {Object} reconciliation - Fields of the reconciliation sub-document to set
+   * @returns {Promise<Object>} Updated payment document
+   */
+  updateReconciliation: async (orderId, reconciliation) => {
+    try {
+      const updateData = {};
+      Object.keys(reconciliation).forEach(key => {
+        updateData[`reconciliation.${key}`] = reconciliation[key];
+      });
+
+      const updatedPayment = await Payment.findOneAndUpdate(
+        { orderId },
+        { $set: updateData },
+        { new: true }
+      );
+      return updatedPayment;
+    } catch (error) {
+      logger.error('Error updating payment reconciliation', { err: error });
       throw error;
     }
   }
@@ -0,0 +1,187 @@
+const axios = require('axios');
+const authService = require('./authService');
+const phonepeConfig = require('../config/phonepeConfig');
+const PhonePeApiError = require('../errors/PhonePeApiError');
+const gatewayMetrics = require('../utils/gatewayMetrics');
+const logger = require('../../common/utils/logger').child({ component: 'phonePeClient' });
+
+// Network error codes worth retrying (ERR_NETWORK is axios' generic network failure)
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+/**
+ * PhonePeClient - Single entry point for PhonePe payment gateway API calls
+ *
+ * Wraps every PhonePe request with:
+ * - the O-Bearer token from AuthService, refreshed once if PhonePe answers 401
+ * - a request timeout (phonepeConfig.timeoutMs)
+ * - retries with exponential backoff on transient network errors and 5xx responses
+ * - PhonePeApiError errors that keep PhonePe's error code and response body
+ * - latency metrics per endpoint (phonepe_api_request_duration_seconds)
+ *
+ * Create order and refund are safe to retry because PhonePe deduplicates them
+ * on merchantOrderId and merchantRefundId.
+ */
+class PhonePeClient {
+    constructor() {
+        this.timeout = phonepeConfig.timeoutMs;                                  // Request timeout in ms
+        this.maxRetries = parseInt(process.env.PHONEPE_MAX_RETRIES, 10) || 2;   // Retries after the first attempt
+        this.retryDelay = 500;                                                   // Initial backoff delay in ms
+    }
+
+    /**
+     * Creates a payment order (checkout/v2/pay)
+     *
+     * @param {Object} paymentPayload - PhonePe create order payload
+     * @returns {Promise<Object>} - PhonePe response containing orderId, state, expireAt and redirectUrl
+     */
+    async createOrder(paymentPayload) {
+        const data = await this.request('createOrder', {
+            method: 'POST',
+            url: phonepeConfig.endpoints.pay,
+            data: paymentPayload
+        });
+
+        // If successful, response should contain redirectUrl
+        if (!data || !data.redirectUrl) {
+            throw new PhonePeApiError('Invalid response from PhonePe: Missing redirectUrl', {
+                code: 'INVALID_RESPONSE',
+                details: data,
+                operation: 'createOrder'
+            });
+        }
+        return data;
+    }
+
+    /**
+     * Gets the status of an order by merchant order ID
+     *
+     * @param {string} merchantOrderId - Our order ID
+     * @returns {Promise<Object>} - PhonePe order status response
+     */
+    async getOrderStatus(merchantOrderId) {
+        return this.request('getOrderStatus', {
+            method: 'GET',
+            url: phonepeConfig.endpoints.orderStatus(merchantOrderId)
+        });
+    }
+
+    /**
+     * Initiates a refund against a completed order
+     *
+     * @param {Object} refundPayload - { merchantRefundId, originalMerchantOrderId, amount (paisa) }
+     * @returns {Promise<Object>} - PhonePe response containing refundId, amount and state
+     */
+    async refund(refundPayload) {
+        return this.request('refund', {
+            method: 'POST',
+            url: phonepeConfig.endpoints.refund,
+            data: refundPayload
+        });
+    }
+
+    /**
+     * Gets the status of a refund by merchant refund ID
+     *
+     * @param {string} merchantRefundId - Our refund ID
+     * @returns {Promise<Object>} - PhonePe refund status response
+     */
+    async getRefundStatus(merchantRefundId) {
+        return this.request('getRefundStatus', {
+            method: 'GET',
+            url: phonepeConfig.endpoints.refundStatus(merchantRefundId)
+        });
+    }
+
+    /**
+     * Sends an authenticated request to PhonePe with timeout, retries and token refresh
+     *
+     * @param {string} operation - Name of the client operation (used in errors and logs)
+     * @param {Object} requestConfig - axios request config (method, url, data)
+     * @returns {Promise<Object>} - Response body
+     */
+    async request(operation, requestConfig) {
+        let attempt = 0;
+        let tokenRefreshed = false;
+        let forceRefresh = false;
+
+        while (true) {
+            try {
+                const authToken = await authService.getAuthToken(forceRefresh);
+                forceRefresh = false;
+                // Request and response bodies are logged at debug level (redacted by the logger)
+                logger.debug(`PhonePe ${operation} request`, { operation, url: requestConfig.url, body: requestConfig.data });
+                const endTimer = gatewayMetrics.apiRequestDuration.startTimer({ endpoint: operation });
+                let response;
+                try {
+                    response = await axios({
+                        ...requestConfig,
+                        timeout: this.timeout,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Authorization': `O-Bearer ${authToken}`
+                        }
+                    });
+                    endTimer({ status: response.status });
+                } catch (requestError) {
+                    // Network errors have no HTTP status
+                    endTimer({ status: requestError.response?.status || 'network_error' });
+                    throw requestError;
+                }
+                logger.debug(`PhonePe ${operation} response`, { operation, state: response.data?.state, response: response.data });
+                return response.data;
+            } catch (error) {
+                // AuthService and our own errors are already descriptive
+                if (!error.isAxiosError) {
+                    throw error;
+                }
+
+                const status = error.response?.status;
+
+                // The cached token was rejected: refresh it once and try again
+                if (status === 401 && !tokenRefreshed) {
+                    logger.warn(`PhonePe ${operation} returned 401, refreshing auth token`, { operation });
+                    tokenRefreshed = true;
+                    forceRefresh = true;
+                    continue;
+                }
+
+                // Only known network failures and 5xx responses; anything else (a bad
+                // request, an error building it) would fail the same way again
+                const retryable = !error.response
+                    ? TRANSIENT_ERROR_CODES.includes(error.code)
+                    : status >= 500;
+
+                if (retryable && attempt < this.maxRetries) {
+                    attempt++;
+                    // Each retry waits twice as long as the previous one
+                    const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                    logger.warn(`PhonePe ${operation} failed, retrying`, { operation, status: status || error.code, attempt, delayMs: delay });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+
+                throw this.toApiError(operation, error, retryable);
+            }
+        }
+    }
+
+    /**
+     * Converts an axios error into a PhonePeApiError
+     */
+    toApiError(operation, error, retryable) {
+        const details = error.response?.data || null;
+        const code = details?.code || details?.errorCode || (error.response ? `HTTP_${error.response.status}` : error.code || 'NETWORK_ERROR');
+        const message = details?.message || error.message;
+
+        return new PhonePeApiError(`PhonePe ${operation} failed: ${message}`, {
+            code,
+            httpStatus: error.response?.status || null,
+            details,
+            operation,
+            retryable
+        });
+    }
+}
+
+// Export a singleton instance of the PhonePeClient
+module.exports = new PhonePeClient();
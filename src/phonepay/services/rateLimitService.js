@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const RateLimitCounter = require('../../models/RateLimitCounter');
+const logger = require('../../common/utils/logger');
+
+// 'memory' (per process, the default) or 'mongo' (shared by all instances)
+const STORE = String(process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+// How often expired in-memory counters are dropped
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// In-memory counters: key -> { windowStart, count, resetAt }
+const memoryCounters = new Map();
+
+const sweepTimer = setInterval(() => {
+  const now = Date.now();
+  memoryCounters.forEach((counter, key) => {
+    if (counter.resetAt <= now) {
+      memoryCounters.delete(key);
+    }
+  });
+}, MEMORY_SWEEP_INTERVAL_MS);
+// Don't keep the process alive just for the sweep
+sweepTimer.unref();
+
+/**
+ * Counts a request in the in-memory store
+ */
+const hitMemory = (key, windowStart, resetAt) => {
+  let counter = memoryCounters.get(key);
+  if (!counter || counter.windowStart !== windowStart) {
+    counter = { windowStart, count: 0, resetAt };
+    memoryCounters.set(key, counter);
+  }
+  counter.count++;
+  return counter.count;
+};
+
+/**
+ * Counts a request in MongoDB. Two instances creating the same counter at
+ * once can race on the unique index; the loser retries once and increments it.
+ */
+const hitMongo = async (key, windowStart, resetAt) => {
+  const increment = () => RateLimitCounter.findOneAndUpdate(
+    { key, windowStart: new Date(windowStart) },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+    { upsert: true, new: true, projection: { count: 1 } }
+  );
+
+  try {
+    const counter = await increment();
+    return counter.count;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const counter = await increment();
+    return counter.count;
+  }
+};
+
+/**
+ * Service for counting requests in fixed rate limit windows
+ */
+const rateLimitService = {
+  /**
+   * Count a request for a key in the current window
+   *
+   * The Mongo store falls back to the in-memory store while the database is
+   * not connected, so limits still apply per instance.
+   *
+   * @param {String} key - Counter key (already hashed)
+   * @param {Number} windowMs - Window length in ms
+   * @returns {Promise<Object>} { count, resetAt } - requests in this window, including this one, and when it ends
+   */
+  hit: async (key, windowMs) => {
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const resetAt = windowStart + windowMs;
+
+    if (STORE === 'mongo' && mongoose.connection.readyState === 1) {
+      try {
+        const count = await hitMongo(key, windowStart, resetAt);
+        return { count, resetAt: new Date(resetAt) };
+      } catch (error) {
+        logger.error('Error updating rate limit counter, using the in-memory store', { err: error });
+      }
+    }
+
+    const count = hitMemory(key, windowStart, resetAt);
+    return { count, resetAt: new Date(resetAt) };
+  }
+};
+
+module.exports = rateLimitService;
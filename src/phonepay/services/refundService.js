@@ -0,0 +1,235 @@
+const Refund = require('../../models/Refund');
+const Payment = require('../../models/Payment');
+const paymentEventService = require('./paymentEventService');
+const { formatAmount } = require('../../common/utils/money');
+const logger = require('../../common/utils/logger');
+
+/**
+ * Service for handling refund database operations
+ */
+const refundService = {
+  /**
+   * Create a new refund record in the database
+   *
+   * @param {Object} refundData - Refund data object
+   * @param {String} refundData.merchantRefundId - Unique refund ID sent to PhonePe
+   * @param {Object} refundData.payment - Payment document being refunded
+   * @param {Number} refundData.amount - Refund amount in minor units (paise), in the payment's currency
+   * @param {String} refundData.reason - Optional reason for the refund
+   * @param {String} refundData.actor - Admin who initiated the refund
+   * @returns {Promise<Object>} Created refund document
+   */
+  createRefund: async (refundData) => {
+    try {
+      const refund = new Refund({
+        merchantRefundId: refundData.merchantRefundId,
+        orderId: refundData.payment.orderId,
+        payment: refundData.payment._id,
+        amount: refundData.amount,
+        currency: refundData.payment.currency,
+        reason: refundData.reason || '',
+        status: 'pending'
+      });
+
+      const savedRefund = await refund.save();
+      await paymentEventService.recordEvent({
+        orderId: savedRefund.orderId,
+        source: 'refund',
+        actor: refundData.actor || null,
+        note: `Refund ${savedRefund.merchantRefundId} of ${formatAmount(savedRefund.amount, savedRefund.currency)} initiated`,
+        payload: {
+          merchantRefundId: savedRefund.merchantRefundId,
+          amount: savedRefund.amount,
+          reason: savedRefund.reason
+        }
+      });
+      return savedRefund;
+    } catch (error) {
+      logger.error('Error creating refund record', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Update refund status by merchant refund ID.
+   * Status changes are recorded on the payment's timeline.
+   *
+   * @param {String} merchantRefundId - The unique refund ID
+   * @param {String} status - New refund status ('pending', 'completed', 'failed')
+   * @param {Object} additionalDetails - Any additional details to update
+   * @returns {Promise<Object>} Updated refund document
+   */
+  updateRefundStatus: async (merchantRefundId, status, additionalDetails = {}) => {
+    try {
+      const updateData = {
+        status,
+        updatedAt: new Date(),
+        ...additionalDetails
+      };
+
+      const previousRefund = await Refund.findOneAndUpdate(
+        { merchantRefundId },
+        { $set: updateData },
+        { new: false, projection: { status: 1 } }
+      );
+
+      if (!previousRefund) {
+        throw new Error(`Refund with merchantRefundId ${merchantRefundId} not found`);
+      }
+
+      const updatedRefund = await Refund.findOne({ merchantRefundId });
+
+      // A failed refund gives its reserved amount back to the payment
+      if (previousRefund.status !== 'failed' && status === 'failed') {
+        await refundService.releaseRefundAmount(updatedRefund.orderId, updatedRefund.amount);
+      } else if (previousRefund.status === 'failed' && status !== 'failed') {
+        await Payment.updateOne(
+          { orderId: updatedRefund.orderId, refundedAmount: { $exists: true } },
+          { $inc: { refundedAmount: updatedRefund.amount } }
+        );
+      }
+
+      if (previousRefund.status !== status) {
+        await paymentEventService.recordEvent({
+          orderId: updatedRefund.orderId,
+          source: 'refund',
+          note: `Refund ${merchantRefundId} ${previousRefund.status} -> ${status}`,
+          payload: {
+            merchantRefundId,
+            amount: updatedRefund.amount,
+            status,
+            phonepeResponse: additionalDetails.phonepeResponse || null
+          }
+        });
+      }
+
+      return updatedRefund;
+    } catch (error) {
+      logger.error('Error updating refund status', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Reserve part of a successful payment for a refund. The reservation is a single
+   * conditional update, so it only succeeds while the payment's refundedAmount plus
+   * this refund stays within the payment amount, however many refunds run at once.
+   *
+   * @param {Object} payment - Payment document being refunded
+   * @param {Number} amount - Refund amount in minor units (paise)
+   * @returns {Promise<Object|null>} Payment after the reservation, or null if the
+   *   payment is no longer successful or the amount exceeds what is left to refund
+   */
+  reserveRefundAmount: async (payment, amount) => {
+    try {
+      await refundService.initRefundedAmount(payment.orderId);
+      const reservedPayment = await Payment.findOneAndUpdate(
+        {
+          orderId: payment.orderId,
+          status: 'success',
+          $expr: { $lte: [{ $add: ['$refundedAmount', amount] }, '$amount'] }
+        },
+        { $inc: { refundedAmount: amount } },
+        { new: true }
+      );
+      return reservedPayment;
+    } catch (error) {
+      logger.error('Error reserving refund amount', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Give a reserved refund amount back to the payment (the refund failed or was never sent)
+   *
+   * @param {String} orderId - The order ID of the original payment
+   * @param {Number} amount - Reserved amount in minor units (paise)
+   * @returns {Promise<void>}
+   */
+  releaseRefundAmount: async (orderId, amount) => {
+    try {
+      // Payments without the field get it from the Refund records later (initRefundedAmount)
+      await Payment.updateOne({ orderId, refundedAmount: { $exists: true } }, { $inc: { refundedAmount: -amount } });
+    } catch (error) {
+      logger.error('Error releasing refund amount', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Fill in refundedAmount on a payment created before the field existed, from
+   * its pending and completed refunds. Only a payment without the field is
+   * updated, so this never overwrites reservations.
+   *
+   * @param {String} orderId - The order ID of the original payment
+   * @returns {Promise<void>}
+   */
+  initRefundedAmount: async (orderId) => {
+    try {
+      const missing = await Payment.exists({ orderId, refundedAmount: { $exists: false } });
+      if (!missing) {
+        return;
+      }
+      const refundedAmount = await refundService.getRefundedAmount(orderId);
+      await Payment.updateOne({ orderId, refundedAmount: { $exists: false } }, { $set: { refundedAmount } });
+    } catch (error) {
+      logger.error('Error initializing refunded amount', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Get refund by merchant refund ID
+   *
+   * @param {String} merchantRefundId - The unique refund ID
+   * @returns {Promise<Object>} Refund document
+   */
+  getRefundByMerchantRefundId: async (merchantRefundId) => {
+    try {
+      const refund = await Refund.findOne({ merchantRefundId });
+      return refund;
+    } catch (error) {
+      logger.error('Error fetching refund', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Get all refunds issued against an order
+   *
+   * @param {String} orderId - The order ID of the original payment
+   * @returns {Promise<Array>} Refund documents, oldest first
+   */
+  getRefundsByOrderId: async (orderId) => {
+    try {
+      const refunds = await Refund.find({ orderId }).sort({ createdAt: 1 });
+      return refunds;
+    } catch (error) {
+      logger.error('Error fetching refunds for order', { err: error });
+      throw error;
+    }
+  },
+
+  /**
+   * Get the total amount already refunded (or currently being refunded) for an order.
+   * By default failed refunds are not counted, so their amount can be refunded again.
+   *
+   * @param {String} orderId - The order ID of the original payment
+   * @param {Array<String>} statuses - Refund statuses to include
+   * @returns {Promise<Number>} Total refunded amount in minor units (paise)
+   */
+  getRefundedAmount: async (orderId, statuses = ['pending', 'completed']) => {
+    try {
+      const [result] = await Refund.aggregate([
+        { $match: { orderId, status: { $in: statuses } } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ]);
+      return result ? result.total : 0;
+    } catch (error) {
+      logger.error('Error calculating refunded amount', { err: error });
+      throw error;
+    }
+  }
+};
+
+module.exports = refundService;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+/**
+ * Admin dashboard sessions
+ *
+ * After logging in, the dashboard keeps a signed session cookie:
+ * base64url({ u: username, exp: expiry in ms }) + '.' + HMAC-SHA256 signature.
+ * Nothing is stored server side, so logging out only clears the cookie.
+ *
+ * Configuration (environment variables):
+ * - ADMIN_SESSION_SECRET     - key used to sign sessions; without it a random key is
+ *                              generated and sessions end when the server restarts
+ * - ADMIN_SESSION_TTL_HOURS  - session lifetime (default 12)
+ */
+
+const COOKIE_NAME = 'admin_session';
+const SESSION_TTL_MS = (parseInt(process.env.ADMIN_SESSION_TTL_HOURS, 10) || 12) * 60 * 60 * 1000;
+
+let sessionSecret = process.env.ADMIN_SESSION_SECRET;
+if (!sessionSecret) {
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signs a session payload
+ */
+const sign = (payload) => crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+
+/**
+ * Creates a session token for a logged in admin
+ *
+ * @param {string} username - Admin username
+ * @param {number} [now] - Current time in ms
+ * @returns {string}
+ */
+const createSessionToken = (username, now = Date.now()) => {
+  const payload = Buffer.from(JSON.stringify({ u: username, exp: now + SESSION_TTL_MS })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verifies a session token
+ *
+ * @param {string} token - Cookie value
+ * @param {number} [now] - Current time in ms
+ * @returns {Object|null} - { username, expiresAt } for a valid session, otherwise null
+ */
+const verifySessionToken = (token, now = Date.now()) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const provided = Buffer.from(signature);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session.u || !session.exp || session.exp < now) {
+      return null;
+    }
+    return { username: session.u, expiresAt: new Date(session.exp) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Reads the admin session from a request's cookies
+ *
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Session, or null if missing or invalid
+ */
+const getSession = (req) => {
+  // Only our own cookie is decoded: other cookies on the domain may hold malformed escapes
+  const cookie = String(req.get('Cookie') || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${COOKIE_NAME}=`));
+  if (!cookie) {
+    return null;
+  }
+
+  try {
+    return verifySessionToken(decodeURIComponent(cookie.slice(COOKIE_NAME.length + 1)));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Cookie options for the session cookie; SameSite=Strict keeps other sites from using the session
+ *
+ * @param {Object} req - Express request (secure flag follows the request protocol)
+ * @returns {Object}
+ */
+const cookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'strict',
+  secure: req.secure,
+  path: '/',
+  maxAge: SESSION_TTL_MS
+});
+
+/**
+ * Whether the dashboard can sign sessions that survive a restart
+ */
+const hasConfiguredSecret = () => Boolean(process.env.ADMIN_SESSION_SECRET);
+
+module.exports = {
+  COOKIE_NAME,
+  createSessionToken,
+  verifySessionToken,
+  getSession,
+  cookieOptions,
+  hasConfiguredSecret
+};
@@ -0,0 +1,113 @@
+const { errorPage } = require('../views/templates/pages');
+
+/**
+ * API responses
+ *
+ * Every JSON error from the payment and admin APIs has the same shape:
+ *
+ *   { success: false, message, code, details }
+ *
+ * message is meant for people, code (e.g. 'VALIDATION_ERROR', 'PAYMENT_NOT_FOUND')
+ * for programs. details is optional: the invalid fields of a validation error,
+ * or what PhonePe answered when a call to it failed.
+ *
+ * Endpoints opened both by browsers and by API clients (like /process-payment)
+ * answer with JSON or an HTML page from the same handler through sendNegotiated.
+ */
+
+/**
+ * Builds the JSON error body
+ */
+const errorBody = (code, message, details) => {
+  const body = { success: false, message, code };
+  if (details !== undefined) {
+    body.details = details;
+  }
+  return body;
+};
+
+/**
+ * Sends a JSON error response
+ *
+ * @param {Object} res - Express response
+ * @param {number} httpStatus - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {*} details - Optional extra information
+ */
+const sendError = (res, httpStatus, code, message, details) => {
+  return res.status(httpStatus).json(errorBody(code, message, details));
+};
+
+/**
+ * Sends a 500 for an unexpected error. Errors from the PhonePe API keep their
+ * code and details; anything else is reported as INTERNAL_ERROR.
+ *
+ * @param {Object} res - Express response
+ * @param {string} message - What failed, e.g. 'Error creating order'
+ * @param {Error} error - The error that was caught
+ */
+const sendServerError = (res, message, error) => {
+  const code = typeof error.code === 'string' ? error.code : 'INTERNAL_ERROR';
+  return sendError(res, 500, code, message, error.details || error.message);
+};
+
+/**
+ * Whether the client asked for JSON: responseType=json|html in the query wins,
+ * otherwise the Accept header decides (browsers get HTML)
+ *
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const wantsJson = (req) => {
+  if (req.query.responseType === 'json' || req.query.responseType === 'html') {
+    return req.query.responseType === 'json';
+  }
+  return req.accepts(['html', 'json']) === 'json';
+};
+
+/**
+ * Sends JSON or HTML depending on what the client asked for (see wantsJson)
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} httpStatus - HTTP status code
+ * @param {Object} variants
+ * @param {Function} variants.json - Returns the JSON body
+ * @param {Function} variants.html - Returns the HTML page
+ */
+const sendNegotiated = (req, res, httpStatus, { json, html }) => {
+  res.vary('Accept');
+  if (wantsJson(req)) {
+    return res.status(httpStatus).json(json());
+  }
+  return res.status(httpStatus).send(html());
+};
+
+/**
+ * Sends an error as JSON (the shape above) or as an error page
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} httpStatus - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {Object} options
+ * @param {string} options.title - Heading of the error page
+ * @param {Object} options.theme - Branding of the error page (default theme if omitted)
+ * @param {*} options.details - Extra information for JSON clients
+ */
+const sendNegotiatedError = (req, res, httpStatus, code, message, { title, theme, details } = {}) => {
+  return sendNegotiated(req, res, httpStatus, {
+    json: () => errorBody(code, message, details),
+    html: () => errorPage({ title, message, theme })
+  });
+};
+
+module.exports = {
+  sendError,
+  sendServerError,
+  wantsJson,
+  sendNegotiated,
+  sendNegotiatedError
+};
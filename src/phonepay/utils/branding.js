@@ -0,0 +1,86 @@
+/**
+ * Branding of the hosted payment pages
+ *
+ * Each merchant can set a logo, colours and a support contact (Merchant.branding)
+ * and its displayName; pages for a domain without a merchant, or values that are
+ * not set, use the default theme.
+ */
+
+// Branding values admins may set on a merchant
+const BRANDING_FIELDS = ['logoUrl', 'primaryColor', 'backgroundColor', 'supportEmail', 'supportPhone', 'supportUrl'];
+
+const DEFAULT_THEME = Object.freeze({
+  displayName: 'Secure Payment',
+  logoUrl: null,
+  primaryColor: '#4d79ff',
+  backgroundColor: '#f7f7f7',
+  supportEmail: null,
+  supportPhone: null,
+  supportUrl: null
+});
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const EMAIL_PATTERN = /^[^\s@<>"']+@[^\s@<>"']+\.[a-z]{2,}$/i;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{5,19}$/;
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check for each branding value; colours end up in CSS, so only plain hex colours pass
+const CHECKS = {
+  logoUrl: { test: isHttpsUrl, problem: 'must be an https URL' },
+  primaryColor: { test: (value) => COLOR_PATTERN.test(value), problem: 'must be a hex colour like #4d79ff' },
+  backgroundColor: { test: (value) => COLOR_PATTERN.test(value), problem: 'must be a hex colour like #f7f7f7' },
+  supportEmail: { test: (value) => EMAIL_PATTERN.test(value), problem: 'must be an email address' },
+  supportPhone: { test: (value) => PHONE_PATTERN.test(value), problem: 'must be a phone number' },
+  supportUrl: { test: isHttpsUrl, problem: 'must be an https URL' }
+};
+
+const isValidValue = (field, value) => typeof value === 'string' && CHECKS[field].test(value);
+
+/**
+ * Checks the branding values of a merchant entry
+ *
+ * @param {Object} branding - Merchant branding (may be empty)
+ * @returns {Array<string>} - One entry per invalid value
+ */
+const validateBranding = (branding) => {
+  return BRANDING_FIELDS
+    .filter(field => branding && branding[field] && !isValidValue(field, branding[field]))
+    .map(field => `branding.${field} ${CHECKS[field].problem}`);
+};
+
+/**
+ * Theme for a merchant's pages: its branding over the default theme. Values that
+ * are not set or not valid (e.g. saved before validation existed) are left at
+ * the default.
+ *
+ * @param {Object|null} merchant - Merchant document or plain object, or null
+ * @returns {Object} - { displayName, logoUrl, primaryColor, backgroundColor, supportEmail, supportPhone, supportUrl }
+ */
+const resolveTheme = (merchant) => {
+  if (!merchant) {
+    return DEFAULT_THEME;
+  }
+
+  const branding = merchant.branding || {};
+  const theme = { ...DEFAULT_THEME, displayName: merchant.displayName || merchant.domain || DEFAULT_THEME.displayName };
+  BRANDING_FIELDS.forEach(field => {
+    if (isValidValue(field, branding[field])) {
+      theme[field] = branding[field];
+    }
+  });
+  return theme;
+};
+
+module.exports = {
+  BRANDING_FIELDS,
+  DEFAULT_THEME,
+  validateBranding,
+  resolveTheme
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Opaque pagination cursors
+ *
+ * A cursor records the sort value and _id of the last item on a page, plus
+ * the sort it belongs to, encoded as base64url JSON. Clients pass it back
+ * unchanged to get the next page.
+ */
+
+// Sort fields whose values are dates and need to be revived when decoding
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Builds the cursor for the item a page ends with
+ *
+ * @param {Object} item - Last document of the page
+ * @param {string} sortField - Field the list is sorted on
+ * @param {number} sortOrder - 1 or -1
+ * @returns {string}
+ */
+const encodeCursor = (item, sortField, sortOrder) => {
+  const payload = { f: sortField, o: sortOrder, v: item[sortField], id: String(item._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor for the given sort
+ *
+ * @param {string} cursor - Cursor returned with the previous page
+ * @param {string} sortField - Field the list is sorted on
+ * @param {number} sortOrder - 1 or -1
+ * @returns {Object|null} - { value, id }, or null if the cursor is invalid or belongs to another sort
+ */
+const decodeCursor = (cursor, sortField, sortOrder) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || payload.f !== sortField || payload.o !== sortOrder || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    return null;
+  }
+
+  const value = DATE_FIELDS.includes(sortField) ? new Date(payload.v) : payload.v;
+  if (value === undefined || (value instanceof Date && isNaN(value.getTime()))) {
+    return null;
+  }
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
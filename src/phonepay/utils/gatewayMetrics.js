@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const client = require('prom-client');
+
+/**
+ * Gateway metrics
+ *
+ * All Prometheus metrics of the payment gateway, exposed at /metrics through
+ * prom-client's default registry (register). Defined in one place so the list
+ * of series (and their labels) is easy to review. Label values should come from
+ * a small, fixed set (flow names, statuses): every combination is a separate series.
+ */
+
+// Node.js process metrics: CPU, memory, event loop lag, GC, handles
+client.collectDefaultMetrics();
+
+// Orders created with PhonePe, by flow: TX (create-order and token), MULTI,
+// CHECKOUT, URL (/process-payment) and UNIQUE
+const ordersCreated = new client.Counter({
+  name: 'phonepe_orders_created_total',
+  help: 'Orders created with PhonePe, by payment flow',
+  labelNames: ['flow']
+});
+
+// Accepted payment status changes, by new status and what reported it
+// (created, webhook, redirect, cancel, poll, refund, manual)
+const paymentStatusChanges = new client.Counter({
+  name: 'phonepe_payment_status_changes_total',
+  help: 'Payment status changes applied, by new status and source',
+  labelNames: ['status', 'source']
+});
+
+// Each attempt is timed separately, so retries show up as extra observations
+const apiRequestDuration = new client.Histogram({
+  name: 'phonepe_api_request_duration_seconds',
+  help: 'PhonePe API request latency per attempt, by endpoint and HTTP status',
+  labelNames: ['endpoint', 'status'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30]
+});
+
+const authTokenRefreshes = new client.Counter({
+  name: 'phonepe_auth_token_refreshes_total',
+  help: 'PhonePe auth token requests, by result (success or failure)',
+  labelNames: ['result']
+});
+
+// Webhooks from PhonePe, by outcome: processed, ignored (unknown refund), unauthorized,
+// invalid_payload, unsupported_event or error
+const webhooksReceived = new client.Counter({
+  name: 'phonepe_webhooks_received_total',
+  help: 'PhonePe webhooks received, by verification and processing result',
+  labelNames: ['result']
+});
+
+// Order-creation requests refused with 429 and admin logins refused for too many attempts,
+// by endpoint and the limit that was hit (ip, domain or mobile)
+const rateLimitBlocked = new client.Counter({
+  name: 'phonepe_rate_limit_blocked_total',
+  help: 'Requests blocked by rate limiting, by endpoint and limit',
+  labelNames: ['endpoint', 'dimension']
+});
+
+// Refreshed on every scrape
+new client.Gauge({
+  name: 'mongodb_connected',
+  help: 'Whether the MongoDB connection is open (1) or not (0)',
+  collect() {
+    this.set(mongoose.connection.readyState === 1 ? 1 : 0);
+  }
+});
+
+module.exports = {
+  register: client.register,
+  ordersCreated,
+  paymentStatusChanges,
+  apiRequestDuration,
+  authTokenRefreshes,
+  webhooksReceived,
+  rateLimitBlocked
+};
@@ -0,0 +1,97 @@
+/**
+ * HTML templating
+ *
+ * Server-rendered pages are built with the html`` tag: every interpolated value
+ * is HTML-escaped unless it is already markup produced by html`` (or marked
+ * trusted with raw()), so request parameters and error messages can't inject
+ * markup. Arrays are rendered item by item; null, undefined and false render
+ * nothing, so conditionals can be written inline:
+ *
+ *   html`<h1>${title}</h1>${txnId && html`<p>Transaction ID: ${txnId}</p>`}`
+ *
+ * Values used inside a <script> block go through scriptJson() instead.
+ */
+
+/**
+ * Markup that is safe to insert as is
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Escapes text for use in HTML content and quoted attribute values
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Renders one interpolated value
+ */
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) {
+    return '';
+  }
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderValue).join('');
+  }
+  return escapeHtml(value);
+};
+
+/**
+ * Template tag that escapes interpolated values
+ *
+ * @returns {SafeHtml}
+ */
+const html = (strings, ...values) => {
+  return new SafeHtml(strings.reduce((out, string, index) => {
+    return out + string + (index < values.length ? renderValue(values[index]) : '');
+  }, ''));
+};
+
+/**
+ * Marks a string of trusted markup (e.g. a stylesheet in the source) as safe
+ *
+ * @param {string} value
+ * @returns {SafeHtml}
+ */
+const raw = (value) => new SafeHtml(String(value));
+
+/**
+ * Serializes a value as a JavaScript literal for use inside a <script> block.
+ * Characters that could end the script element or break the literal are escaped.
+ *
+ * @param {*} value
+ * @returns {SafeHtml}
+ */
+const scriptJson = (value) => new SafeHtml(
+  JSON.stringify(value === undefined ? null : value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')
+);
+
+module.exports = {
+  html,
+  raw,
+  scriptJson,
+  escapeHtml
+};
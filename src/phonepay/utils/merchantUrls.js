@@ -0,0 +1,110 @@
+/**
+ * Merchant redirect URL helpers
+ *
+ * Shoppers are only ever sent back to URLs configured on their Merchant
+ * entry, and those URLs must stay on the merchant's own hosts. This keeps
+ * the payment-status and payment-cancelled callbacks from being used as an
+ * open redirect.
+ */
+
+// Default paths used when a merchant has no explicit redirect URL configured
+const DEFAULT_PATHS = {
+  success: '/thankyou',
+  failure: '/cart',
+  cancel: '/cart'
+};
+
+// Merchant field holding the redirect URL for each outcome
+const URL_FIELDS = {
+  success: 'successUrl',
+  failure: 'failureUrl',
+  cancel: 'cancelUrl'
+};
+
+/**
+ * Normalizes a domain as sent by clients ('https://Shop.example.com/' -> 'shop.example.com')
+ *
+ * @param {string} domain - Raw domain value
+ * @returns {string} - Lowercase host name, or '' if empty
+ */
+const normalizeDomain = (domain) => {
+  return String(domain || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/.*$/, '');
+};
+
+/**
+ * Hosts a merchant's redirect URLs may point to
+ *
+ * @param {Object} merchant - Merchant document or plain object
+ * @returns {Array<string>}
+ */
+const getAllowedHosts = (merchant) => {
+  return [merchant.domain, ...(merchant.allowedHosts || [])].map(normalizeDomain).filter(Boolean);
+};
+
+/**
+ * Whether a URL is a safe redirect target for a merchant: https (http only
+ * for localhost) and on one of the merchant's allowed hosts
+ *
+ * @param {Object} merchant - Merchant document or plain object
+ * @param {string} url - Absolute URL to check
+ * @returns {boolean}
+ */
+const isAllowedRedirectUrl = (merchant, url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const isLocalhost = parsed.hostname === 'localhost' || parsed.hostname === '127.0.0.1';
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && isLocalhost)) {
+    return false;
+  }
+  // Allowed hosts may include a port (e.g. 'localhost:3000')
+  const allowedHosts = getAllowedHosts(merchant);
+  return allowedHosts.includes(parsed.host) || allowedHosts.includes(parsed.hostname);
+};
+
+/**
+ * Redirect URL for a payment outcome
+ *
+ * @param {Object} merchant - Merchant document or plain object
+ * @param {string} outcome - 'success', 'failure' or 'cancel'
+ * @returns {string} - Configured URL, or the default path on the merchant's domain
+ */
+const getRedirectUrl = (merchant, outcome) => {
+  const configuredUrl = merchant[URL_FIELDS[outcome]];
+  if (configuredUrl && isAllowedRedirectUrl(merchant, configuredUrl)) {
+    return configuredUrl;
+  }
+  return `https://${normalizeDomain(merchant.domain)}${DEFAULT_PATHS[outcome] || DEFAULT_PATHS.failure}`;
+};
+
+/**
+ * Maps a payment status to the redirect outcome used by getRedirectUrl
+ *
+ * @param {string} status - Payment status
+ * @returns {string} - 'success', 'cancel' or 'failure'
+ */
+const outcomeForStatus = (status) => {
+  if (status === 'success') {
+    return 'success';
+  } else if (status === 'cancelled') {
+    return 'cancel';
+  }
+  return 'failure';
+};
+
+module.exports = {
+  URL_FIELDS,
+  normalizeDomain,
+  getAllowedHosts,
+  isAllowedRedirectUrl,
+  getRedirectUrl,
+  outcomeForStatus
+};
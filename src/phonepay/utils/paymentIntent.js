@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+/**
+ * Signed payment intents
+ *
+ * A storefront signs the payment parameters with its merchant signing secret
+ * so shoppers cannot change the amount in a /process-payment link. The
+ * signature is an HMAC-SHA256 (hex) over the canonical string:
+ *
+ *   domain=<domain>\namount=<amount in paisa>\nmerchantOrderId=<id or empty>\ntimestamp=<unix seconds>\nnonce=<nonce>
+ *
+ * Storefronts running Node can use signPaymentIntent directly:
+ *
+ *   const { signPaymentIntent } = require('./src/phonepay/utils/paymentIntent');
+ *   const params = signPaymentIntent({ domain: 'shop.example.com', amount: 4999, merchantOrderId: 'ORD-1' }, secret);
+ *   const link = `https://pay.example.com/process-payment?${new URLSearchParams(params)}`;
+ *
+ * Keep this module free of database and app dependencies so it can be copied
+ * into storefront code as is.
+ */
+
+/**
+ * Normalizes an amount in rupees to integer paisa so '100', '100.0' and 100 sign the same.
+ * Same rules as parseAmount in common/utils/money.js, repeated to keep this module standalone.
+ *
+ * @param {string|number} amount - Amount in rupees
+ * @returns {number|null} - Amount in paisa, or null if not a valid amount with at most two decimals
+ */
+const toPaisa = (amount) => {
+  const match = String(amount).trim().match(/^(\d+)(?:\.(\d{0,2}))?$/);
+  return match ? parseInt(match[1] + (match[2] || '').padEnd(2, '0'), 10) : null;
+};
+
+/**
+ * Builds the canonical string covered by the signature
+ *
+ * @param {Object} params - domain, amount, merchantOrderId, timestamp, nonce
+ * @returns {string}
+ */
+const canonicalString = (params) => {
+  return [
+    `domain=${String(params.domain || '').trim().toLowerCase()}`,
+    `amount=${toPaisa(params.amount)}`,
+    `merchantOrderId=${params.merchantOrderId || ''}`,
+    `timestamp=${params.timestamp}`,
+    `nonce=${params.nonce}`
+  ].join('\n');
+};
+
+/**
+ * Computes the hex HMAC-SHA256 signature of a payment intent
+ *
+ * @param {Object} params - domain, amount, merchantOrderId, timestamp, nonce
+ * @param {string} secret - Merchant signing secret
+ * @returns {string}
+ */
+const computeSignature = (params, secret) => {
+  return crypto.createHmac('sha256', secret).update(canonicalString(params)).digest('hex');
+};
+
+/**
+ * Signs a payment intent, adding a timestamp and a random nonce
+ *
+ * @param {Object} intent - { domain, amount (rupees), merchantOrderId }
+ * @param {string} secret - Merchant signing secret
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {Object} - The intent plus timestamp, nonce and signature, ready to send as query parameters
+ */
+const signPaymentIntent = (intent, secret, { now = Date.now() } = {}) => {
+  const params = {
+    domain: intent.domain,
+    amount: String(intent.amount),
+    ...(intent.merchantOrderId ? { merchantOrderId: intent.merchantOrderId } : {}),
+    timestamp: String(Math.floor(now / 1000)),
+    nonce: crypto.randomBytes(16).toString('hex')
+  };
+  params.signature = computeSignature(params, secret);
+  return params;
+};
+
+/**
+ * Checks a signature in constant time
+ *
+ * @param {Object} params - Received parameters including signature
+ * @param {string} secret - Merchant signing secret
+ * @returns {boolean}
+ */
+const isValidSignature = (params, secret) => {
+  if (typeof params.signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(computeSignature(params, secret), 'hex');
+  const provided = Buffer.from(params.signature, 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+module.exports = {
+  toPaisa,
+  canonicalString,
+  computeSignature,
+  signPaymentIntent,
+  isValidSignature
+};
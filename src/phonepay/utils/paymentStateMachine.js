@@ -0,0 +1,57 @@
+/**
+ * Payment state machine
+ *
+ * Lists the status changes a payment may go through:
+ *
+ *   pending -> success | failed | cancelled | expired
+ *   success -> refunded
+ *
+ * PhonePe is the source of truth for the money, so a payment the shopper
+ * cancelled or that passed our local deadline may still be confirmed as
+ * successful by a later webhook or status check (cancelled/expired -> success).
+ * Everything else, including any move back to 'pending', is rejected.
+ *
+ * Re-applying the current status is always allowed so duplicate callbacks can
+ * refresh the stored PhonePe details without changing the status.
+ */
+const TRANSITIONS = {
+  pending: ['success', 'failed', 'cancelled', 'expired'],
+  success: ['refunded'],
+  failed: [],
+  cancelled: ['success'],
+  expired: ['success'],
+  refunded: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Whether a payment may move from one status to another
+ *
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (fromStatus, toStatus) => {
+  if (!TRANSITIONS[fromStatus] || !TRANSITIONS[toStatus]) {
+    return false;
+  }
+  return fromStatus === toStatus || TRANSITIONS[fromStatus].includes(toStatus);
+};
+
+/**
+ * Statuses a payment may be in for the requested status to be applied.
+ * Used as the condition of atomic updates so concurrent callbacks cannot
+ * race each other into an illegal final state.
+ *
+ * @param {string} toStatus - Requested status
+ * @returns {Array<string>}
+ */
+const allowedSourceStatuses = (toStatus) => STATUSES.filter(status => canTransition(status, toStatus));
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  canTransition,
+  allowedSourceStatuses
+};
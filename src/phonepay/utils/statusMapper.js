@@ -0,0 +1,53 @@
+/**
+ * Status mapping helpers
+ *
+ * Translate PhonePe order states into the status values stored on Payment.
+ */
+
+// Payment statuses that will not change any more
+const TERMINAL_STATUSES = ['success', 'failed', 'cancelled', 'expired', 'refunded'];
+
+// PhonePe error codes reported for orders that ran past their expireAfter window
+const EXPIRED_ERROR_CODE_PATTERN = /EXPIRED|TIMED_OUT/i;
+
+/**
+ * Maps a PhonePe order state to our payment status format
+ *
+ * @param {string} state - PhonePe order state ('COMPLETED', 'FAILED', 'PENDING', 'EXPIRED')
+ * @param {string} [errorCode] - PhonePe errorCode, used to tell expired orders from failed ones
+ * @returns {string} - 'success', 'failed', 'expired' or 'pending'
+ */
+const mapOrderState = (state, errorCode) => {
+  if (state === 'COMPLETED') {
+    return 'success';
+  } else if (state === 'EXPIRED') {
+    return 'expired';
+  } else if (state === 'FAILED') {
+    return errorCode && EXPIRED_ERROR_CODE_PATTERN.test(errorCode) ? 'expired' : 'failed';
+  }
+  return 'pending';
+};
+
+/**
+ * Whether a payment status is terminal
+ *
+ * @param {string} status - Payment status
+ * @returns {boolean}
+ */
+const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+/**
+ * Whether a payment has passed its expiry deadline
+ *
+ * @param {Object} payment - Payment document
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+const isPastExpiry = (payment, now = new Date()) => Boolean(payment && payment.expiresAt && now > payment.expiresAt);
+
+module.exports = {
+  TERMINAL_STATUSES,
+  mapOrderState,
+  isTerminalStatus,
+  isPastExpiry
+};
@@ -0,0 +1,191 @@
+const { parseAmount, formatAmount } = require('../../common/utils/money');
+const { normalizeDomain } = require('./merchantUrls');
+
+/**
+ * Declarative request validation
+ *
+ * A schema lists, per request location ('params', 'query', 'body'), the
+ * fields a route accepts and a rule for each:
+ *
+ *   {
+ *     body: {
+ *       amount: { type: 'amount', required: true, min: 100 },
+ *       mobile: { type: 'mobile' },
+ *       name: { type: 'string', maxLength: 100, default: 'Guest' }
+ *     }
+ *   }
+ *
+ * Rule types:
+ * - string   - minLength, maxLength, pattern (RegExp); the value is trimmed
+ * - amount   - rupees with at most 2 decimals; min and max are in paise
+ * - mobile   - Indian mobile number (+91/91/0 prefix allowed), normalized to 10 digits
+ * - domain   - host name with optional port, with or without scheme ('https://shop.example.com/')
+ * - orderId  - PhonePe merchant order or refund ID: 1-63 letters, digits, '_' or '-'
+ * - enum     - one of values
+ * - integer  - whole number between min and max, converted to a Number
+ * - object   - plain object (JSON body)
+ * - custom   - check(value) returns true when valid
+ * Every rule may set required, default, and code/message to override the error reported.
+ *
+ * Empty values ('' or null) count as missing. Fields not in the schema are left
+ * alone. Amounts, domains and order IDs keep the value that was sent, since
+ * signed payment intents cover them as sent.
+ */
+
+const MOBILE_PATTERN = /^(?:\+?91|0)?([6-9]\d{9})$/;
+const HOST_PATTERN = /^(?=.{1,253}(?::|$))[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*(?::\d{1,5})?$/;
+const ORDER_ID_PATTERN = /^[A-Za-z0-9_-]{1,63}$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Checks one value against its rule
+ *
+ * @returns {Object} - { value } with the normalized value, or { code, message }
+ */
+const checkValue = (value, rule, label) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { code: 'INVALID_TYPE', message: `${label} must be a string` };
+      }
+      const text = String(value).trim();
+      if (rule.minLength && text.length < rule.minLength) {
+        return { code: 'TOO_SHORT', message: `${label} must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return { code: 'TOO_LONG', message: `${label} must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return { code: 'INVALID_FORMAT', message: `${label} contains characters that are not allowed` };
+      }
+      return { value: text };
+    }
+
+    case 'amount': {
+      const paise = parseAmount(value);
+      if (paise === null) {
+        return { code: 'INVALID_AMOUNT', message: `${label} must be a number with at most 2 decimal places` };
+      }
+      if (rule.min !== undefined && paise < rule.min) {
+        return { code: 'AMOUNT_TOO_SMALL', message: `${label} must be at least ${formatAmount(rule.min)}` };
+      }
+      if (rule.max !== undefined && paise > rule.max) {
+        return { code: 'AMOUNT_TOO_LARGE', message: `${label} must be at most ${formatAmount(rule.max)}` };
+      }
+      return { value };
+    }
+
+    case 'mobile': {
+      const match = typeof value === 'string' || typeof value === 'number'
+        ? String(value).replace(/[\s-]/g, '').match(MOBILE_PATTERN)
+        : null;
+      if (!match) {
+        return { code: 'INVALID_MOBILE', message: `${label} must be a 10 digit Indian mobile number` };
+      }
+      return { value: match[1] };
+    }
+
+    case 'domain': {
+      if (typeof value !== 'string' || !HOST_PATTERN.test(normalizeDomain(value))) {
+        return { code: 'INVALID_DOMAIN', message: `${label} must be a valid domain name` };
+      }
+      return { value };
+    }
+
+    case 'orderId': {
+      if (typeof value !== 'string' || !ORDER_ID_PATTERN.test(value)) {
+        return { code: 'INVALID_ORDER_ID', message: `${label} must be 1-63 letters, digits, '_' or '-'` };
+      }
+      return { value };
+    }
+
+    case 'enum': {
+      if (!rule.values.includes(value)) {
+        return { code: 'INVALID_VALUE', message: `${label} must be one of: ${rule.values.join(', ')}` };
+      }
+      return { value };
+    }
+
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isInteger(number) || (rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+        const range = rule.min !== undefined && rule.max !== undefined ? ` between ${rule.min} and ${rule.max}` : '';
+        return { code: 'INVALID_INTEGER', message: `${label} must be a whole number${range}` };
+      }
+      return { value: number };
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { code: 'INVALID_TYPE', message: `${label} must be an object` };
+      }
+      return { value };
+    }
+
+    case 'custom': {
+      if (!rule.check(value)) {
+        return { code: 'INVALID_VALUE', message: `${label} is not valid` };
+      }
+      return { value };
+    }
+
+    default:
+      throw new Error(`Unknown validation rule type: ${rule.type}`);
+  }
+};
+
+/**
+ * Validates the parts of a request a schema describes
+ *
+ * @param {Object} schema - { params, query, body } field rules
+ * @param {Object} request - Object with params, query and body (e.g. the Express request)
+ * @returns {Object} - { errors, values }: errors has one { field, location, code, message }
+ *   per invalid field; values has the normalized fields (defaults applied) per location
+ */
+const validate = (schema, request) => {
+  const errors = [];
+  const values = {};
+
+  Object.keys(schema).forEach(location => {
+    const source = request[location] || {};
+    values[location] = {};
+
+    Object.keys(schema[location]).forEach(field => {
+      const rule = schema[location][field];
+      const raw = source[field];
+
+      if (isEmpty(raw)) {
+        if (rule.required) {
+          errors.push({ field, location, code: 'REQUIRED', message: rule.message || `${field} is required` });
+        } else if (rule.default !== undefined || raw !== undefined) {
+          // Empty values ('', null) read as missing from here on
+          values[location][field] = rule.default;
+        }
+        return;
+      }
+
+      // Repeated query parameters arrive as arrays; only one value is accepted
+      const result = Array.isArray(raw) && rule.type !== 'custom'
+        ? { code: 'INVALID_TYPE', message: `${field} must be given once` }
+        : checkValue(raw, rule, field);
+
+      if (result.code) {
+        errors.push({
+          field,
+          location,
+          code: rule.code || result.code,
+          message: rule.message || result.message
+        });
+      } else {
+        values[location][field] = result.value;
+      }
+    });
+  });
+
+  return { errors, values };
+};
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+/**
+ * Merchant webhook signatures
+ *
+ * Events posted to a merchant's callback URL carry an
+ * 'X-Webhook-Signature: t=<unix seconds>,v1=<hex>' header, where v1 is the
+ * HMAC-SHA256 of '<t>.<raw request body>' keyed with the merchant's signing
+ * secret (the same secret used for payment intents).
+ *
+ * Storefronts running Node can verify events with verifyWebhookSignature,
+ * using the raw body exactly as received. Like utils/paymentIntent, this
+ * module has no app dependencies so it can be copied into storefront code.
+ */
+
+// Events older than this are rejected by verifyWebhookSignature to limit replays
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Builds the X-Webhook-Signature header value for a body
+ *
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Merchant signing secret
+ * @param {number} [now] - Current time in ms
+ * @returns {string}
+ */
+const signWebhookBody = (body, secret, now = Date.now()) => {
+  const timestamp = Math.floor(now / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Verifies an X-Webhook-Signature header
+ *
+ * @param {string} body - Raw request body as received
+ * @param {string} header - X-Webhook-Signature header value
+ * @param {string} secret - Merchant signing secret
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Maximum event age
+ * @param {number} [options.now] - Current time in ms
+ * @returns {boolean}
+ */
+const verifyWebhookSignature = (body, header, secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) => {
+  const parts = {};
+  String(header || '').split(',').forEach(part => {
+    const [name, value] = part.split('=');
+    if (name && value) {
+      parts[name.trim()] = value.trim();
+    }
+  });
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1 || Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest();
+  const provided = Buffer.from(parts.v1, 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+module.exports = {
+  signWebhookBody,
+  verifyWebhookSignature
+};
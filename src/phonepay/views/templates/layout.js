@@ -0,0 +1,154 @@
+const { html, raw } = require('../../utils/html');
+const { DEFAULT_THEME } = require('../../utils/branding');
+
+// Styles shared by all server-rendered pages: a centred card on the theme's background.
+// Theme colours come in as the --brand-* variables (see themeStyles)
+const BASE_STYLES = raw(`
+  body {
+    font-family: Arial, sans-serif;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    flex-direction: column;
+    min-height: 100vh;
+    margin: 0;
+    background-color: var(--brand-background);
+    color: #333;
+  }
+  .card {
+    background-color: white;
+    padding: 30px;
+    border-radius: 8px;
+    box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+    text-align: center;
+    max-width: 500px;
+    width: 90%;
+    box-sizing: border-box;
+  }
+  h1 {
+    color: #333;
+    font-size: 1.6em;
+    margin-bottom: 20px;
+  }
+  .muted {
+    font-size: 0.9em;
+    color: #888;
+    word-break: break-all;
+  }
+  .brand {
+    margin-bottom: 20px;
+    font-size: 1.3em;
+    font-weight: bold;
+    color: var(--brand-primary);
+  }
+  .brand img {
+    max-height: 48px;
+    max-width: 200px;
+  }
+  .support {
+    margin-top: 20px;
+    font-size: 0.85em;
+    color: #666;
+    text-align: center;
+  }
+  .support a {
+    color: var(--brand-primary);
+  }
+  .button {
+    display: inline-block;
+    background-color: var(--brand-primary);
+    color: white;
+    border: none;
+    padding: 12px 24px;
+    font-size: 16px;
+    border-radius: 4px;
+    cursor: pointer;
+    transition: background-color 0.3s;
+    text-decoration: none;
+  }
+  .button:hover {
+    filter: brightness(0.9);
+  }
+`);
+
+/**
+ * CSS variables with the theme's colours. Colours are validated hex values
+ * (utils/branding), so they are safe inside the style element.
+ *
+ * @param {Object} theme - Resolved theme (see utils/branding)
+ * @returns {SafeHtml}
+ */
+const themeStyles = (theme) => html`<style>:root { --brand-primary: ${theme.primaryColor}; --brand-background: ${theme.backgroundColor}; }</style>`;
+
+/**
+ * The merchant's logo, or its name when it has none
+ *
+ * @param {Object} theme - Resolved theme
+ * @returns {SafeHtml}
+ */
+const brandHeader = (theme) => html`
+  <div class="brand">
+    ${theme.logoUrl ? html`<img src="${theme.logoUrl}" alt="${theme.displayName}">` : theme.displayName}
+  </div>
+`;
+
+/**
+ * How to reach the merchant's support, if the theme has a contact
+ *
+ * @param {Object} theme - Resolved theme
+ * @returns {SafeHtml|null}
+ */
+const supportFooter = (theme) => {
+  const contacts = [
+    theme.supportEmail && html`<a href="mailto:${theme.supportEmail}">${theme.supportEmail}</a>`,
+    theme.supportPhone && html`<a href="tel:${theme.supportPhone.replace(/[^+0-9]/g, '')}">${theme.supportPhone}</a>`,
+    theme.supportUrl && html`<a href="${theme.supportUrl}" target="_blank" rel="noopener">Help centre</a>`
+  ].filter(Boolean);
+
+  if (contacts.length === 0) {
+    return null;
+  }
+  return html`
+    <footer class="support">
+      Need help? Contact ${theme.displayName}: ${contacts.map((contact, index) => html`${index > 0 ? ' · ' : ''}${contact}`)}
+    </footer>
+  `;
+};
+
+/**
+ * Shared document layout of the server-rendered pages
+ *
+ * @param {Object} options
+ * @param {string} options.title - Page title (escaped)
+ * @param {SafeHtml} options.body - Card content, built with html``
+ * @param {SafeHtml} options.head - Extra elements for <head> (meta refresh, scripts)
+ * @param {SafeHtml} options.styles - Page-specific CSS, marked trusted with raw()
+ * @param {Object} options.theme - Branding of the domain the page is for (default theme if omitted)
+ * @returns {SafeHtml}
+ */
+const layout = ({ title, body, head = null, styles = null, theme = DEFAULT_THEME }) => html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  ${head}
+  ${themeStyles(theme)}
+  <style>${BASE_STYLES}${styles}</style>
+</head>
+<body>
+  <main class="card">
+    ${brandHeader(theme)}
+    ${body}
+  </main>
+  ${supportFooter(theme)}
+</body>
+</html>
+`;
+
+module.exports = {
+  layout,
+  themeStyles,
+  brandHeader,
+  supportFooter
+};
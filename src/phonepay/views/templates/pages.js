@@ -0,0 +1,151 @@
+const { layout, themeStyles, brandHeader, supportFooter } = require('./layout');
+const { html, raw, scriptJson } = require('../../utils/html');
+const { DEFAULT_THEME } = require('../../utils/branding');
+
+/**
+ * Server-rendered pages
+ *
+ * Each function returns the page as a string, ready for res.send(). All
+ * parameters are escaped, so they may come from the request. Pages shown for a
+ * merchant take its theme (utils/branding resolveTheme); without one the
+ * default theme is used.
+ */
+
+const ERROR_STYLES = raw(`
+  .error-icon {
+    color: #ff4d4d;
+    font-size: 60px;
+    margin-bottom: 20px;
+  }
+  .error-details {
+    color: #666;
+    margin-bottom: 30px;
+  }
+  .error-details ul {
+    text-align: left;
+  }
+  .transaction-id {
+    margin-bottom: 30px;
+  }
+`);
+
+const REDIRECT_STYLES = raw(`
+  .loader {
+    border: 5px solid #f3f3f3;
+    border-top: 5px solid var(--brand-primary);
+    border-radius: 50%;
+    width: 50px;
+    height: 50px;
+    animation: spin 1s linear infinite;
+    margin: 20px auto;
+  }
+  @keyframes spin {
+    0% { transform: rotate(0deg); }
+    100% { transform: rotate(360deg); }
+  }
+`);
+
+/**
+ * Error page shown to shoppers
+ *
+ * @param {Object} options
+ * @param {string} options.title - Heading, e.g. 'Payment Error'
+ * @param {string} options.message - What went wrong
+ * @param {Array<string>} options.details - Optional list of individual problems
+ * @param {string} options.txnId - Optional transaction ID to show
+ * @param {Object} options.theme - Branding of the merchant
+ * @returns {string}
+ */
+const errorPage = ({ title = 'Payment Error', message, details = [], txnId = null, theme = DEFAULT_THEME }) => String(layout({
+  title: `${title} - ${theme.displayName}`,
+  theme,
+  styles: ERROR_STYLES,
+  body: html`
+    <div class="error-icon">&#9888;</div>
+    <h1>${title}</h1>
+    <div class="error-details">
+      ${message || 'An error occurred during payment processing.'}
+      ${details.length > 0 && html`<ul>${details.map(detail => html`<li>${detail}</li>`)}</ul>`}
+    </div>
+    ${txnId && html`<div class="transaction-id muted">Transaction ID: ${txnId}</div>`}
+    <a href="/" class="button">Return to Home</a>
+  `
+}));
+
+/**
+ * Page that sends the shopper on to the PhonePe payment page straight away,
+ * with a link in case the automatic redirect is blocked
+ *
+ * @param {Object} options
+ * @param {string} options.url - PhonePe payment page URL
+ * @param {Object} options.theme - Branding of the merchant being paid
+ * @returns {string}
+ */
+const redirectPage = ({ url, theme = DEFAULT_THEME }) => String(layout({
+  title: `Pay ${theme.displayName}`,
+  theme,
+  styles: REDIRECT_STYLES,
+  head: html`
+    <meta http-equiv="refresh" content="0;url=${url}">
+    <script>
+      // JavaScript immediate redirect as fallback
+      window.location.href = ${scriptJson(url)};
+    </script>
+  `,
+  body: html`
+    <h2>Taking you to the secure payment page...</h2>
+    <div class="loader"></div>
+    <p>If you're not redirected automatically, please click the button below:</p>
+    <a href="${url}" class="button">Go to Payment Page</a>
+  `
+}));
+
+/**
+ * Script that hands the order to the PhonePe checkout iframe in views/checkout.html
+ *
+ * @param {Object} options
+ * @param {string} options.redirectUrl - PhonePe payment page URL
+ * @param {string} options.merchantId - PhonePe client ID
+ * @param {string} options.transactionId - Merchant order ID
+ * @param {number} options.amount - Amount in paisa
+ * @param {string} options.failureUrl - Where to go if the iframe reports a failure
+ * @returns {string}
+ */
+const checkoutScript = ({ redirectUrl, merchantId, transactionId, amount, failureUrl }) => String(html`
+  <script>
+    window.redirectUrl = ${scriptJson(redirectUrl)};
+    window.merchantId = ${scriptJson(merchantId)};
+    window.transactionId = ${scriptJson(transactionId)};
+    window.amount = ${scriptJson(amount)};
+    window.failureUrl = ${scriptJson(failureUrl)};
+  </script>
+`);
+
+/**
+ * Applies a theme to one of the static pages in views (uniquepayment.html,
+ * multipayment.html). The page marks where the branding goes with comments:
+ * <!-- branding:styles --> in <head>, <!-- branding:header --> and
+ * <!-- branding:footer --> in <body>; its title gets the display name appended.
+ *
+ * @param {string} pageHtml - Page read from views
+ * @param {Object} theme - Branding of the merchant
+ * @returns {string}
+ */
+const brandStaticPage = (pageHtml, theme = DEFAULT_THEME) => {
+  const parts = {
+    styles: themeStyles(theme),
+    header: brandHeader(theme),
+    footer: supportFooter(theme) || ''
+  };
+  // Replacer functions, so '$' in the inserted markup is taken literally
+  return pageHtml
+    .replace(/<!-- branding:(styles|header|footer) -->/g, (match, part) => String(parts[part]))
+    .replace(/<title>([^<]*)<\/title>/, (match, title) => String(html`<title>${title} - ${theme.displayName}</title>`));
+};
+
+module.exports = {
+  errorPage,
+  redirectPage,
+  checkoutScript,
+  brandStaticPage
+};
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const paymentService = require('../services/paymentService');
+const paymentEventService = require('../services/paymentEventService');
+const alertService = require('../services/alertService');
+const phonePeClient = require('../services/phonePeClient');
+const InvalidTransitionError = require('../errors/InvalidTransitionError');
+const AmountMismatchError = require('../errors/AmountMismatchError');
+const { mapOrderState } = require('../utils/statusMapper');
+const logger = require('../../common/utils/logger').child({ component: 'reconciliationWorker' });
+
+// Fallback expiry for payments recorded before expiresAt was stored
+const LEGACY_EXPIRE_AFTER_SECONDS = 1800;
+
+// Extra time after expiresAt before a still-pending order is marked expired,
+// so a payment completed right at the deadline is not expired early
+const EXPIRY_GRACE_MS = 2 * 60 * 1000;
+
+// Number of runs kept in memory for the history endpoint
+const MAX_HISTORY = 50;
+
+/**
+ * ReconciliationWorker - Resolves payments stuck in 'pending'
+ *
+ * Payments stay pending when the shopper closes the tab before the redirect
+ * callback or PhonePe's webhook never arrives. On a fixed interval this
+ * in-process worker picks pending payments older than a minimum age, asks
+ * PhonePe for the order status and stores the result. Orders that are still
+ * pending are checked again with exponential backoff until they reach a
+ * terminal state; once their expireAfter window has run out they are marked
+ * 'expired'. If the status checks are still failing at that point, the payment
+ * is expired anyway and an alert asks for the outcome to be confirmed.
+ *
+ * Configuration (environment variables):
+ * - RECONCILE_ENABLED          - set to 'false' to disable the worker
+ * - RECONCILE_INTERVAL_MS      - time between runs (default 60000)
+ * - RECONCILE_MIN_AGE_MINUTES  - only pending payments older than this (default 5)
+ * - RECONCILE_BATCH_SIZE       - maximum payments checked per run (default 50)
+ */
+class ReconciliationWorker {
+    constructor() {
+        this.enabled = process.env.RECONCILE_ENABLED !== 'false';
+        this.intervalMs = parseInt(process.env.RECONCILE_INTERVAL_MS, 10) || 60000;
+        this.minAgeMinutes = parseInt(process.env.RECONCILE_MIN_AGE_MINUTES, 10) || 5;
+        this.batchSize = parseInt(process.env.RECONCILE_BATCH_SIZE, 10) || 50;
+        this.baseBackoffMs = 60 * 1000;        // First re-check one minute after a pending result
+        this.maxBackoffMs = 15 * 60 * 1000;    // Never wait more than 15 minutes between checks
+
+        this.timer = null;
+        this.startedAt = null;                  // When start() scheduled the runs
+        this.running = false;
+        this.history = [];                      // Most recent runs first
+    }
+
+    /**
+     * Starts the periodic reconciliation runs
+     */
+    start() {
+        if (!this.enabled) {
+            logger.info('Reconciliation worker disabled (RECONCILE_ENABLED=false)');
+            return;
+        }
+        if (this.timer) {
+            return;
+        }
+        logger.info('Reconciliation worker started', { intervalMs: this.intervalMs, minAgeMinutes: this.minAgeMinutes });
+        this.startedAt = new Date();
+        this.timer = setInterval(() => {
+            this.runOnce().catch(error => logger.error('Reconciliation run failed', { err: error }));
+        }, this.intervalMs);
+        // Don't keep the process alive just for the worker
+        this.timer.unref();
+    }
+
+    /**
+     * Stops the periodic reconciliation runs
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.startedAt = null;
+            logger.info('Reconciliation worker stopped');
+        }
+    }
+
+    /**
+     * Backoff delay before the next check of a payment that is still pending
+     *
+     * @param {number} attempts - Number of checks already made
+     * @returns {number} - Delay in ms
+     */
+    backoffDelay(attempts) {
+        return Math.min(this.baseBackoffMs * Math.pow(2, Math.max(attempts - 1, 0)), this.maxBackoffMs);
+    }
+
+    /**
+     * Performs a single reconciliation run
+     *
+     * @returns {Promise<Object>} - Summary of the run (also stored in the history)
+     */
+    async runOnce() {
+        const run = {
+            id: crypto.randomBytes(4).toString('hex'),
+            startedAt: new Date(),
+            finishedAt: null,
+            durationMs: null,
+            checked: 0,
+            updated: 0,
+            stillPending: 0,
+            expired: 0,
+            superseded: 0,
+            flagged: 0,
+            errors: 0,
+            skipped: false,
+            message: null
+        };
+
+        if (this.running) {
+            run.skipped = true;
+            run.message = 'Previous run still in progress';
+            return this.record(run);
+        }
+
+        if (mongoose.connection.readyState !== 1) {
+            run.skipped = true;
+            run.message = 'Database not connected';
+            return this.record(run);
+        }
+
+        this.running = true;
+        try {
+            const now = new Date();
+            const payments = await paymentService.findPaymentsToReconcile({
+                createdBefore: new Date(now.getTime() - this.minAgeMinutes * 60 * 1000),
+                now,
+                limit: this.batchSize
+            });
+
+            for (const payment of payments) {
+                run.checked++;
+                // Entries for this payment carry the correlation ID of the request that created it
+                await logger.runWithContext({ runId: run.id, orderId: payment.orderId, correlationId: payment.correlationId }, async () => {
+                    try {
+                        const outcome = await this.reconcilePayment(payment);
+                        run[outcome]++;
+                    } catch (error) {
+                        run.errors++;
+                        logger.error('Reconciliation of payment failed', { err: error });
+                    }
+                });
+            }
+        } catch (error) {
+            run.message = error.message;
+            throw error;
+        } finally {
+            this.running = false;
+            this.record(run);
+        }
+
+        if (run.checked > 0) {
+            logger.info('Reconciliation run finished', {
+                runId: run.id,
+                checked: run.checked,
+                updated: run.updated,
+                stillPending: run.stillPending,
+                expired: run.expired,
+                superseded: run.superseded,
+                flagged: run.flagged,
+                errors: run.errors
+            });
+        }
+        return run;
+    }
+
+    /**
+     * Checks one pending payment against PhonePe and stores the outcome
+     *
+     * @param {Object} payment - Pending payment document
+     * @returns {Promise<string>} - 'updated', 'stillPending', 'expired', 'superseded' or 'flagged'
+     */
+    async reconcilePayment(payment) {
+        const now = new Date();
+        const attempts = (payment.reconciliation?.attempts || 0) + 1;
+        const expiresAt = payment.expiresAt || new Date(payment.createdAt.getTime() + LEGACY_EXPIRE_AFTER_SECONDS * 1000);
+        const pastDeadline = now.getTime() > expiresAt.getTime() + EXPIRY_GRACE_MS;
+
+        let orderData;
+        try {
+            orderData = await phonePeClient.getOrderStatus(payment.orderId);
+        } catch (error) {
+            const lastError = `${error.code || 'ERROR'}: ${error.message}`;
+            if (pastDeadline) {
+                return this.expireUnconfirmed(payment, { attempts, now, lastError });
+            }
+
+            // Keep backing off on errors until the deadline
+            await paymentService.updateReconciliation(payment.orderId, {
+                attempts,
+                lastCheckedAt: now,
+                nextCheckAt: new Date(now.getTime() + this.backoffDelay(attempts)),
+                lastError
+            });
+            await paymentEventService.recordEvent({
+                orderId: payment.orderId,
+                source: 'poll',
+                previousStatus: payment.status,
+                newStatus: payment.status,
+                actor: 'reconciliationWorker',
+                note: `Status check failed: ${error.code || 'ERROR'}: ${error.message}`,
+                payload: error.details || null
+            });
+            throw error;
+        }
+
+        let newStatus = mapOrderState(orderData.state, orderData.errorCode);
+
+        // PhonePe still reports the order as pending after its deadline: it can no longer be paid
+        if (newStatus === 'pending' && pastDeadline) {
+            newStatus = 'expired';
+        }
+
+        if (newStatus !== 'pending') {
+            const additionalDetails = {
+                'paymentDetails.phonepeResponse': orderData,
+                'paymentDetails.lastUpdated': now.toISOString(),
+                'reconciliation.attempts': attempts,
+                'reconciliation.lastCheckedAt': now,
+                'reconciliation.nextCheckAt': null,
+                'reconciliation.lastError': null
+            };
+            if (newStatus === 'success' && orderData.paymentDetails && orderData.paymentDetails.length > 0) {
+                const paymentDetail = orderData.paymentDetails[0];
+                additionalDetails['paymentDetails.transactionId'] = paymentDetail.transactionId || '';
+                additionalDetails['paymentDetails.paymentMode'] = paymentDetail.paymentMode || '';
+            }
+            try {
+                await paymentService.updatePaymentStatus(payment.orderId, newStatus, additionalDetails, {
+                    source: 'poll',
+                    actor: 'reconciliationWorker',
+                    payload: orderData,
+                    reportedAmount: orderData.amount
+                });
+            } catch (error) {
+                // PhonePe charged a different amount: held for manual review, no longer polled
+                if (error instanceof AmountMismatchError) {
+                    return 'flagged';
+                }
+                // A webhook or redirect settled the payment while we were asking PhonePe
+                if (error instanceof InvalidTransitionError) {
+                    return 'superseded';
+                }
+                throw error;
+            }
+            logger.info('Reconciled payment', { orderId: payment.orderId, status: newStatus });
+            return newStatus === 'expired' ? 'expired' : 'updated';
+        }
+
+        // Still pending within the expiry window: check again after a backoff delay
+        await paymentService.updateReconciliation(payment.orderId, {
+            attempts,
+            lastCheckedAt: now,
+            nextCheckAt: new Date(now.getTime() + this.backoffDelay(attempts)),
+            lastError: null
+        });
+        await paymentEventService.recordEvent({
+            orderId: payment.orderId,
+            source: 'poll',
+            previousStatus: payment.status,
+            newStatus: payment.status,
+            actor: 'reconciliationWorker',
+            note: 'Still pending at PhonePe',
+            payload: orderData
+        });
+        return 'stillPending';
+    }
+
+    /**
+     * Expires a payment whose status could not be checked before its deadline, so the
+     * shopper page and the merchant webhook settle, and raises an alert so someone
+     * confirms the outcome with PhonePe. If PhonePe later reports the payment as
+     * completed, the webhook or an admin recheck can still move it from expired to success.
+     *
+     * @param {Object} payment - Pending payment document
+     * @param {Object} check - { attempts, now, lastError } of the failed status check
+     * @returns {Promise<string>} - 'expired', or 'superseded' if the payment was settled meanwhile
+     */
+    async expireUnconfirmed(payment, { attempts, now, lastError }) {
+        try {
+            await paymentService.updatePaymentStatus(payment.orderId, 'expired', {
+                'paymentDetails.lastUpdated': now.toISOString(),
+                'reconciliation.attempts': attempts,
+                'reconciliation.lastCheckedAt': now,
+                'reconciliation.nextCheckAt': null,
+                'reconciliation.lastError': lastError,
+                'reconciliation.exhausted': true
+            }, {
+                source: 'poll',
+                actor: 'reconciliationWorker',
+                payload: { lastError }
+            });
+        } catch (error) {
+            // A webhook or redirect settled the payment while we were asking PhonePe
+            if (error instanceof InvalidTransitionError) {
+                return 'superseded';
+            }
+            throw error;
+        }
+
+        logger.warn('Expired payment without a status from PhonePe', { orderId: payment.orderId, attempts, lastError });
+        await alertService.raise('payment.reconciliation_exhausted', {
+            orderId: payment.orderId,
+            domain: payment.domainName,
+            amount: payment.amount,
+            attempts,
+            lastError
+        });
+        return 'expired';
+    }
+
+    /**
+     * Stores a finished run in the in-memory history
+     */
+    record(run) {
+        run.finishedAt = new Date();
+        run.durationMs = run.finishedAt - run.startedAt;
+        this.history.unshift(run);
+        this.history.length = Math.min(this.history.length, MAX_HISTORY);
+        return run;
+    }
+
+    /**
+     * Returns the most recent runs, newest first
+     *
+     * @param {number} limit - Maximum number of runs to return
+     * @returns {Array<Object>}
+     */
+    getHistory(limit = MAX_HISTORY) {
+        return this.history.slice(0, limit);
+    }
+
+    /**
+     * Returns the worker's state for health checks
+     *
+     * @returns {Object} - { enabled, scheduled, startedAt, running, intervalMs, lastRun }
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            scheduled: Boolean(this.timer),
+            startedAt: this.startedAt,
+            running: this.running,
+            intervalMs: this.intervalMs,
+            lastRun: this.history[0] || null
+        };
+    }
+}
+
+// Export a singleton instance of the ReconciliationWorker
+module.exports = new ReconciliationWorker();
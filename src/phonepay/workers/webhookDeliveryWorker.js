@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const merchantWebhookService = require('../services/merchantWebhookService');
+const logger = require('../../common/utils/logger').child({ component: 'webhookDeliveryWorker' });
+
+/**
+ * WebhookDeliveryWorker - Retries merchant webhooks that could not be delivered
+ *
+ * Payment events are first sent right after the status change. Events whose
+ * callback failed stay pending with a backoff delay; on a fixed interval this
+ * in-process worker sends the ones that are due again until they are
+ * delivered or run out of attempts.
+ *
+ * Configuration (environment variables):
+ * - WEBHOOK_DELIVERY_ENABLED      - set to 'false' to disable the worker
+ * - WEBHOOK_DELIVERY_INTERVAL_MS  - time between runs (default 30000)
+ * - WEBHOOK_DELIVERY_BATCH_SIZE   - maximum events sent per run (default 20)
+ */
+class WebhookDeliveryWorker {
+    constructor() {
+        this.enabled = process.env.WEBHOOK_DELIVERY_ENABLED !== 'false';
+        this.intervalMs = parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS, 10) || 30000;
+        this.batchSize = parseInt(process.env.WEBHOOK_DELIVERY_BATCH_SIZE, 10) || 20;
+
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Starts the periodic delivery runs
+     */
+    start() {
+        if (!this.enabled) {
+            logger.info('Webhook delivery worker disabled (WEBHOOK_DELIVERY_ENABLED=false)');
+            return;
+        }
+        if (this.timer) {
+            return;
+        }
+        logger.info('Webhook delivery worker started', { intervalMs: this.intervalMs });
+        this.timer = setInterval(() => {
+            this.runOnce().catch(error => logger.error('Webhook delivery run failed', { err: error }));
+        }, this.intervalMs);
+        // Don't keep the process alive just for the worker
+        this.timer.unref();
+    }
+
+    /**
+     * Stops the periodic delivery runs
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            logger.info('Webhook delivery worker stopped');
+        }
+    }
+
+    /**
+     * Sends every due event once
+     *
+     * @returns {Promise<Object>} - { attempted, delivered, skipped }
+     */
+    async runOnce() {
+        const run = { attempted: 0, delivered: 0, skipped: false };
+        if (this.running || mongoose.connection.readyState !== 1) {
+            run.skipped = true;
+            return run;
+        }
+
+        this.running = true;
+        try {
+            const deliveries = await merchantWebhookService.findDueDeliveries(new Date(), this.batchSize);
+            for (const delivery of deliveries) {
+                try {
+                    const updated = await merchantWebhookService.deliver(delivery._id);
+                    if (updated) {
+                        run.attempted++;
+                        if (updated.status === 'delivered') {
+                            run.delivered++;
+                        }
+                    }
+                } catch (error) {
+                    logger.error('Delivery of merchant webhook failed', { eventId: delivery.eventId, err: error });
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        if (run.attempted > 0) {
+            logger.info('Webhook delivery run finished', { attempted: run.attempted, delivered: run.delivered });
+        }
+        return run;
+    }
+}
+
+// Export a singleton instance of the WebhookDeliveryWorker
+module.exports = new WebhookDeliveryWorker();
@@ -40,9 +40,9 @@ async function processDirectPayment(params) {
     if (params.name) queryParams.append('name', params.name);
     if (params.mobile) queryParams.append('mobile', params.mobile);
     
-    // Add any additional parameters
+    // Add any additional parameters (including merchantOrderId, timestamp, nonce and signature of signed intents)
     Object.keys(params).forEach(key => {
-      if (!['domain', 'amount', 'name', 'mobile'].includes(key)) {
+      if (!['domain', 'amount', 'name', 'mobile'].includes(key) && params[key] !== undefined) {
         queryParams.append(key, params[key]);
       }
     });
@@ -191,8 +191,17 @@ function initPaymentButtons() {
         method: button.getAttribute('data-method') || 'direct'
       };
       
-      // Check for required parameters
-      if (!params.amount) {
+      // Signed payment intents: pass the values signed by the storefront server unchanged
+      const signature = button.getAttribute('data-signature');
+      if (signature) {
+        params.merchantOrderId = button.getAttribute('data-merchant-order-id') || undefined;
+        params.timestamp = button.getAttribute('data-timestamp');
+        params.nonce = button.getAttribute('data-nonce');
+        params.signature = signature;
+      }
+      
+      // Check for required parameters (a signed amount must not be taken from the form)
+      if (!params.amount && !signature) {
         // Try to find amount in a nearby form
         const form = button.closest('form');
         if (form) {
@@ -249,9 +258,9 @@ const PhonePeReactHelper = {
       if (params.name) queryParams.append('name', params.name);
       if (params.mobile) queryParams.append('mobile', params.mobile);
       
-      // Add any additional parameters
+      // Add any additional parameters (including merchantOrderId, timestamp, nonce and signature of signed intents)
       Object.keys(params).forEach(key => {
-        if (!['domain', 'amount', 'name', 'mobile'].includes(key)) {
+        if (!['domain', 'amount', 'name', 'mobile'].includes(key) && params[key] !== undefined) {
           queryParams.append(key, params[key]);
         }
       });
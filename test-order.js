@@ -4,8 +4,8 @@
 require('dotenv').config({ path: '.env' });
 const axios = require('axios');
 
-// PhonePe API URL (Production endpoint)
-const BASE_URL = "https://api.phonepe.com/apis/pg";
+// PhonePe endpoints for the environment selected by PHONEPE_ENV (production, sandbox or mock)
+const phonepeConfig = require('./src/phonepay/config/phonepeConfig');
 
 // Get server host from environment or use default
 const SERVER_HOST = process.env.APP_HOST || 'http://localhost:5001';
@@ -39,7 +39,7 @@ async function getAuthToken() {
     // Request token from PhonePe OAuth service
     const response = await axios({
       method: 'post',
-      url: `https://api.phonepe.com/apis/identity-manager/v1/oauth/token`,
+      url: phonepeConfig.endpoints.auth,
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
       },
@@ -76,7 +76,7 @@ async function getAuthToken() {
  */
 async function createTestOrder() {
   try {
-    console.log('Starting test order creation...');
+    console.log(`Starting test order creation against PhonePe ${phonepeConfig.environment}...`);
     
     // Get authentication token
     console.log('Getting auth token...');
@@ -114,7 +114,7 @@ async function createTestOrder() {
     console.log('Sending request to PhonePe with payload:', JSON.stringify(paymentPayload, null, 2));
     
     // Send payment creation request to PhonePe API
-    const response = await axios.post(`${BASE_URL}/checkout/v2/pay`, paymentPayload, {
+    const response = await axios.post(phonepeConfig.endpoints.pay, paymentPayload, {
       headers: {
         "Content-Type": "application/json",
         "Authorization": `O-Bearer ${authToken}` // OAuth Bearer token format